@@ -0,0 +1,104 @@
+// champion-store.js
+// Local snapshot of the Data Dragon champion list and portraits, so drafts work when
+// ddragon.leagueoflegends.com is blocked or slow (LAN events, venue Wi-Fi)
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.CHAMPION_DATA_PATH || path.join(__dirname, 'data', 'champions');
+const INDEX_PATH = path.join(DATA_DIR, 'champions.json');
+const IMAGE_DIR = path.join(DATA_DIR, 'img');
+const DDRAGON_URL = 'https://ddragon.leagueoflegends.com';
+const DOWNLOAD_CONCURRENCY = 8;
+
+let snapshot = null; // { version, updatedAt, champions: [{ id, name, tags, info }] }
+
+/**
+ * Reads the stored champion snapshot into memory. Call once before the server starts.
+ * @returns {Object|null} - The snapshot, or null if none has been downloaded yet
+ */
+function loadChampions() {
+    try {
+        snapshot = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+        console.log(`Loaded ${snapshot.champions.length} champions (patch ${snapshot.version}) from ${INDEX_PATH}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read champion data from ${INDEX_PATH}:`, error);
+        }
+        snapshot = null;
+    }
+    return snapshot;
+}
+
+/**
+ * @returns {Object|null} - { version, updatedAt, champions: [{ id, name, tags, info }] }, or null without a snapshot
+ */
+function getChampionData() {
+    return snapshot;
+}
+
+/**
+ * Finds a stored portrait
+ * @param {string} id - Data Dragon champion id (e.g. 'MonkeyKing')
+ * @returns {string|null} - Absolute file path, or null if there is no such portrait
+ */
+function getPortraitPath(id) {
+    if (!/^[A-Za-z0-9]+$/.test(id)) return null;
+
+    const filePath = path.join(IMAGE_DIR, `${id}.png`);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+async function downloadPortrait(version, champ) {
+    const response = await fetch(`${DDRAGON_URL}/cdn/${version}/img/champion/${champ.image.full}`);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch portrait for ${champ.name}: ${response.status}`);
+    }
+    await fs.promises.writeFile(path.join(IMAGE_DIR, `${champ.id}.png`), Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Downloads the latest champion list and portraits from Data Dragon and replaces the
+ * snapshot. The list is written last, so a failed refresh keeps the previous snapshot.
+ * @param {Function} onProgress - Called with (done, total) as portraits are saved (optional)
+ * @returns {Promise<Object>} - The new snapshot
+ */
+async function refreshChampions(onProgress = () => {}) {
+    const [version] = await fetchJson(`${DDRAGON_URL}/api/versions.json`);
+    const championsData = await fetchJson(`${DDRAGON_URL}/cdn/${version}/data/en_US/champion.json`);
+    const champions = Object.values(championsData.data);
+
+    await fs.promises.mkdir(IMAGE_DIR, { recursive: true });
+
+    let done = 0;
+    const queue = [...champions];
+    const worker = async () => {
+        for (let champ = queue.shift(); champ; champ = queue.shift()) {
+            await downloadPortrait(version, champ);
+            onProgress(++done, champions.length);
+        }
+    };
+    await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+    const next = {
+        version,
+        updatedAt: Date.now(),
+        champions: champions.map(champ => ({ id: champ.id, name: champ.name, tags: champ.tags, info: champ.info }))
+    };
+
+    const tempPath = `${INDEX_PATH}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(next, null, 2));
+    await fs.promises.rename(tempPath, INDEX_PATH);
+
+    snapshot = next;
+    return snapshot;
+}
+
+module.exports = { DATA_DIR, loadChampions, getChampionData, getPortraitPath, refreshChampions };
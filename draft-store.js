@@ -0,0 +1,107 @@
+// draft-store.js
+// File-backed history of completed drafts, kept as one JSON file so drafts survive
+// room cleanup and server restarts
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_PATH = process.env.DRAFT_STORE_PATH || path.join(__dirname, 'storage', 'drafts.json');
+
+let drafts = [];
+let writeQueue = Promise.resolve();
+
+/**
+ * Reads the stored drafts into memory. Call once before the server starts.
+ */
+function loadDrafts() {
+    try {
+        drafts = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+        console.log(`Loaded ${drafts.length} drafts from ${STORE_PATH}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read draft history from ${STORE_PATH}, starting empty:`, error);
+        }
+        drafts = [];
+    }
+}
+
+/**
+ * Writes the drafts to disk. Writes are queued so they never interleave, and go
+ * through a temporary file so a crash cannot leave a half-written store.
+ */
+function persist() {
+    const data = JSON.stringify(drafts, null, 2);
+    const tempPath = `${STORE_PATH}.tmp`;
+
+    writeQueue = writeQueue
+        .then(() => fs.promises.mkdir(path.dirname(STORE_PATH), { recursive: true }))
+        .then(() => fs.promises.writeFile(tempPath, data))
+        .then(() => fs.promises.rename(tempPath, STORE_PATH))
+        .catch(error => console.error('Failed to save draft history:', error));
+}
+
+/**
+ * Stores a completed draft
+ * @param {Object} record - Draft details (room code, players, bans, picks, format, timestamps)
+ * @returns {Object} - Stored draft including its id
+ */
+function saveDraft(record) {
+    const draft = { id: crypto.randomUUID(), savedAt: Date.now(), ...record };
+    drafts.push(draft);
+    persist();
+    return draft;
+}
+
+/**
+ * Merges changes into a stored draft (e.g. the winner recorded after the game)
+ * @param {string} id - Draft id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Object|null} - Updated draft, or null if the id is unknown
+ */
+function updateDraft(id, changes) {
+    const index = drafts.findIndex(draft => draft.id === id);
+    if (index === -1) return null;
+
+    drafts[index] = { ...drafts[index], ...changes, id, updatedAt: Date.now() };
+    persist();
+    return drafts[index];
+}
+
+/**
+ * Lists stored drafts, newest first, without their action logs
+ * @param {Object} options - { limit, offset, roomCode }
+ * @returns {Object} - { total, drafts }
+ */
+function listDrafts({ limit = 50, offset = 0, roomCode = null } = {}) {
+    const matching = drafts
+        .filter(draft => !roomCode || draft.roomCode === roomCode)
+        .reverse();
+
+    return {
+        total: matching.length,
+        drafts: matching.slice(offset, offset + limit).map(draft => ({
+            id: draft.id,
+            roomCode: draft.roomCode,
+            format: draft.format,
+            bluePlayerName: draft.bluePlayerName,
+            redPlayerName: draft.redPlayerName,
+            bluePicks: draft.bluePicks,
+            redPicks: draft.redPicks,
+            series: draft.series,
+            winner: draft.winner || null,
+            startedAt: draft.startedAt,
+            completedAt: draft.completedAt
+        }))
+    };
+}
+
+/**
+ * Fetches one stored draft with all its details
+ * @param {string} id - Draft id
+ * @returns {Object|null} - Draft, or null if the id is unknown
+ */
+function getDraft(id) {
+    return drafts.find(draft => draft.id === id) || null;
+}
+
+module.exports = { loadDrafts, saveDraft, updateDraft, listDrafts, getDraft };
@@ -1,10 +1,10 @@
 // --- MAIN APPLICATION LOGIC ---
-import { setPlayerPool, getPlayerPool, setRandomizerMode, getRandomizerMode, applyRolePreferences, setTeamAssignments, getTeamAssignments } from './state.js';
+import { setPlayerPool, getPlayerPool, setRandomizerMode, getRandomizerMode, setChaosLoadouts, getChaosLoadouts, applyRolePreferences, applyChampionPools, getChampionPools, setTeamAssignments, getTeamAssignments } from './state.js';
 import { parseLobbyChat, saveLobbyToStorage, loadLobbyFromStorage } from './parser.js';
 import { shuffleArray, validatePlayerCount, solveRoleAssignment } from './randomizer.js';
 import { showStage, renderConfigUI, setupConfigUIEventListeners } from './ui.js';
 import { displayTeams } from './display.js';
-import { initializeDraft, getGameState } from './draft.js';
+import { initializeDraft, getGameState, populateDraftFormatOptions, populatePatchOptions, promptForCustomDraftOrder } from './draft.js';
 import * as Multiplayer from './multiplayer.js';
 
 /**
@@ -129,7 +129,20 @@ function showMultiplayerOptions() {
  * Create a multiplayer room
  */
 async function createMultiplayerRoom() {
-    const success = await Multiplayer.createRoom();
+    const formatSelect = document.getElementById('room-format-select');
+    const formatOptions = {
+        draftFormat: formatSelect.value,
+        patch: document.getElementById('room-patch-select').value || undefined
+    };
+
+    if (formatOptions.draftFormat === 'custom') {
+        formatOptions.customDraftOrder = promptForCustomDraftOrder();
+        if (!formatOptions.customDraftOrder) {
+            return;
+        }
+    }
+
+    const success = await Multiplayer.createRoom(formatOptions);
     if (success) {
         try {
             await initializeDraft('multiplayer', 'blue');
@@ -145,6 +158,11 @@ async function createMultiplayerRoom() {
 
                 Multiplayer.updateRoleAssignments(blueTeamRoles, redTeamRoles);
             }
+
+            const championPools = getChampionPools();
+            if (Object.keys(championPools).length > 0) {
+                Multiplayer.setChampionPools(championPools);
+            }
         } catch (error) {
             console.error('Failed to initialize draft:', error);
             alert('Failed to initialize draft. Please check the console for details.');
@@ -204,17 +222,22 @@ async function directJoinRoom() {
 /**
  * Updates the room players list UI
  */
-function updateRoomPlayersList(bluePlayerName, redPlayerName, spectators) {
+function updateRoomPlayersList(bluePlayerName, redPlayerName, spectators, blueTeammates = [], redTeammates = []) {
     const bluePlayerElement = document.getElementById('blue-player-name');
     const redPlayerElement = document.getElementById('red-player-name');
     const spectatorsListElement = document.getElementById('spectators-list');
 
+    // Captain first, marked with (C), then the other seated players
+    const formatTeam = (captain, teammates) => captain
+        ? [`${captain} (C)`, ...teammates].join(', ')
+        : '-';
+
     if (bluePlayerElement) {
-        bluePlayerElement.textContent = bluePlayerName || '-';
+        bluePlayerElement.textContent = formatTeam(bluePlayerName, blueTeammates);
     }
 
     if (redPlayerElement) {
-        redPlayerElement.textContent = redPlayerName || '-';
+        redPlayerElement.textContent = formatTeam(redPlayerName, redTeammates);
     }
 
     if (spectatorsListElement) {
@@ -269,6 +292,7 @@ function initializeEventListeners() {
 
         setPlayerPool(players);
         applyRolePreferences(); // Apply saved role preferences for these players
+        applyChampionPools();
         renderConfigUI();
         showStage(2);
     });
@@ -496,7 +520,7 @@ function initializeEventListeners() {
 
     // Register callback for room updates
     Multiplayer.onRoomUpdate((data) => {
-        updateRoomPlayersList(data.bluePlayerName, data.redPlayerName, data.spectators);
+        updateRoomPlayersList(data.bluePlayerName, data.redPlayerName, data.spectators, data.blueTeammates, data.redTeammates);
     });
 
     // Direct join from start screen
@@ -576,6 +600,7 @@ function initializeModeSwitch() {
             labelText5man.classList.add('active');
             labelText5v5.classList.remove('active');
         }
+        updateChaosToggleVisibility();
         // Update button visibility if on Stage 3
         const stage3 = document.getElementById('stage-three-display');
         if (!stage3.classList.contains('hidden')) {
@@ -584,6 +609,32 @@ function initializeModeSwitch() {
     });
 }
 
+/**
+ * Shows the chaos loadouts toggle only in Quick Play, the mode it applies to
+ */
+function updateChaosToggleVisibility() {
+    document.getElementById('chaos-toggle-container').classList.toggle('hidden', getRandomizerMode() !== '5man');
+}
+
+/**
+ * Initializes the chaos loadouts toggle (random role, champion, spells and keystone in Quick Play)
+ */
+function initializeChaosToggle() {
+    const chaosCheckbox = document.getElementById('chaos-loadouts-checkbox');
+    chaosCheckbox.checked = getChaosLoadouts();
+    updateChaosToggleVisibility();
+
+    chaosCheckbox.addEventListener('change', (e) => {
+        setChaosLoadouts(e.target.checked);
+
+        // Show the change right away when a Quick Play team is on screen
+        const stage3 = document.getElementById('stage-three-display');
+        if (!stage3.classList.contains('hidden') && getRandomizerMode() === '5man') {
+            runRandomization();
+        }
+    });
+}
+
 /**
  * Initializes the application on page load
  */
@@ -598,6 +649,11 @@ async function init() {
         chatInput.value = savedLobby;
     }
 
+    // Fill draft format pickers before any room state can select a value
+    populateDraftFormatOptions(document.getElementById('room-format-select'));
+    populateDraftFormatOptions(document.getElementById('draft-format-select'));
+    populatePatchOptions(document.getElementById('room-patch-select'));
+
     // Show initial stage
     showStage(1);
 
@@ -609,10 +665,12 @@ async function init() {
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
         initializeModeSwitch();
+        initializeChaosToggle();
         init();
     });
 } else {
     // Handle case where DOMContentLoaded has already fired
     initializeModeSwitch();
+    initializeChaosToggle();
     init();
 }
\ No newline at end of file
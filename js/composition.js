@@ -0,0 +1,100 @@
+// --- TEAM COMPOSITION ---
+// Sums up a drafted team from the Data Dragon tags and info ratings of its champions, plus
+// a bundled table of what those do not describe: hard engage, peel and power spikes.
+
+/**
+ * Champions with each trait. Champions not listed for 'early' or 'late' peak mid game.
+ */
+export const COMPOSITION_TRAITS = {
+    engage: [
+        'Alistar', 'Amumu', 'Blitzcrank', 'Camille', 'Diana', 'Galio', 'Gragas', 'Hecarim', 'Jarvan IV',
+        'Kennen', 'Leona', 'Lissandra', 'Malphite', 'Maokai', 'Nautilus', 'Nocturne', 'Nunu & Willump',
+        'Ornn', 'Rakan', 'Rammus', 'Rell', 'Sejuani', 'Sion', 'Skarner', 'Thresh', 'Vi', 'Wukong', 'Zac'
+    ],
+    peel: [
+        'Alistar', 'Bard', 'Braum', 'Ivern', 'Janna', 'Karma', 'Lulu', 'Milio', 'Morgana', 'Nami',
+        'Poppy', 'Renata Glasc', 'Seraphine', 'Sona', 'Soraka', 'Tahm Kench', 'Taric', 'Thresh',
+        'Yuumi', 'Zilean'
+    ],
+    early: [
+        'Blitzcrank', 'Caitlyn', 'Darius', 'Draven', 'Elise', 'Jarvan IV', 'Jayce', 'Kalista', 'Kled',
+        'LeBlanc', 'Lee Sin', 'Lucian', 'Miss Fortune', 'Nidalee', 'Olaf', 'Pantheon', 'Pyke',
+        "Rek'Sai", 'Renekton', 'Shaco', 'Talon', 'Xin Zhao'
+    ],
+    late: [
+        'Anivia', 'Aphelios', 'Aurelion Sol', 'Azir', "Bel'Veth", 'Cassiopeia', 'Gangplank', 'Jax',
+        'Jinx', "Kai'Sa", 'Karthus', 'Kassadin', 'Kayle', "Kog'Maw", 'Master Yi', 'Nasus', 'Ryze',
+        'Senna', 'Smolder', 'Tristana', 'Twitch', 'Vayne', 'Veigar', 'Viktor', 'Vladimir', 'Zeri'
+    ]
+};
+
+const FRONTLINE_FIGHTER_DEFENSE = 6; // Data Dragon defense rating from which a Fighter can front
+const LOW_DAMAGE_SHARE = 25; // Percent of a damage type below which a team lacks it
+const POWER_CURVE_LEAN = 2; // Difference between early and late champions that tilts a team
+
+/**
+ * @param {Object} champ - { name, tags, info }
+ * @returns {number} - Share of the champion's damage that is physical, 0 to 1
+ */
+function getPhysicalShare(champ) {
+    const { attack = 0, magic = 0 } = champ.info || {};
+    if (attack + magic > 0) {
+        return attack / (attack + magic);
+    }
+    return champ.tags.includes('Mage') ? 0 : 1;
+}
+
+function isFrontline(champ) {
+    return champ.tags.includes('Tank')
+        || (champ.tags.includes('Fighter') && (champ.info?.defense || 0) >= FRONTLINE_FIGHTER_DEFENSE);
+}
+
+function getPowerCurveLabel(early, late) {
+    if (late - early >= POWER_CURVE_LEAN) return 'Scales late';
+    if (early - late >= POWER_CURVE_LEAN) return 'Strong early';
+    return 'Balanced';
+}
+
+/**
+ * Analyzes a team's picks
+ * @param {Array} picks - Champion objects { name, tags, info }; info (Data Dragon ratings) is optional
+ * @returns {Object} - {
+ *   damage: { physical, magic } in percent,
+ *   frontline, engage, peel: number of champions,
+ *   curve: { early, mid, late, label },
+ *   missing: descriptions of what the team lacks, e.g. 'No hard engage'
+ * }
+ */
+export function analyzeComposition(picks) {
+    const has = (trait, champ) => COMPOSITION_TRAITS[trait].includes(champ.name);
+    const count = predicate => picks.filter(predicate).length;
+
+    const physical = picks.length > 0
+        ? Math.round(100 * picks.reduce((sum, champ) => sum + getPhysicalShare(champ), 0) / picks.length)
+        : 0;
+    const damage = { physical, magic: picks.length > 0 ? 100 - physical : 0 };
+
+    const early = count(champ => has('early', champ));
+    const late = count(champ => has('late', champ));
+    const curve = { early, mid: picks.length - early - late, late, label: getPowerCurveLabel(early, late) };
+
+    const analysis = {
+        damage,
+        frontline: count(isFrontline),
+        engage: count(champ => has('engage', champ)),
+        peel: count(champ => has('peel', champ)),
+        curve,
+        missing: []
+    };
+
+    if (picks.length === 0) return analysis;
+
+    if (analysis.frontline === 0) analysis.missing.push('No frontline');
+    if (analysis.engage === 0) analysis.missing.push('No hard engage');
+    if (analysis.peel === 0) analysis.missing.push('No peel');
+    if (damage.magic < LOW_DAMAGE_SHARE) analysis.missing.push('Little magic damage');
+    if (damage.physical < LOW_DAMAGE_SHARE) analysis.missing.push('Little physical damage');
+    if (late === 0 && early >= POWER_CURVE_LEAN) analysis.missing.push('Falls off late');
+
+    return analysis;
+}
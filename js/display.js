@@ -1,6 +1,25 @@
 // --- TEAM DISPLAY LOGIC ---
-import { getRandomizerMode, getAllRoles, getTeamAssignments } from './state.js';
-import { solveRoleAssignment } from './randomizer.js';
+import { getRandomizerMode, getAllRoles, getTeamAssignments, getChaosLoadouts } from './state.js';
+import { solveRoleAssignment, rollChaosTeam, rollLoadout } from './randomizer.js';
+import { fetchChampionList } from './draft.js';
+
+let chaosChampionsPromise = null; // Champion list for chaos loadouts, fetched once
+
+/**
+ * Loads the champion list chaos loadouts draw from; an empty list is fetched again next time
+ * @returns {Promise<Array>} - Array of champion objects
+ */
+function getChaosChampions() {
+    if (!chaosChampionsPromise) {
+        chaosChampionsPromise = fetchChampionList().then(championList => {
+            if (championList.length === 0) {
+                chaosChampionsPromise = null;
+            }
+            return championList;
+        });
+    }
+    return chaosChampionsPromise;
+}
 
 /**
  * Shows shuffle animation overlay
@@ -41,7 +60,7 @@ export function displayTeams(team1, team2) {
     const overlay = showShuffleOverlay();
 
     // Simulate shuffle duration (800ms)
-    setTimeout(() => {
+    setTimeout(async () => {
         // Clear container to retrigger animations
         teamsContainer.innerHTML = '';
 
@@ -51,7 +70,9 @@ export function displayTeams(team1, team2) {
         // Get saved team assignments (calculated in app.js)
         const teamAssignments = getTeamAssignments();
 
-        if (mode === '5man') {
+        if (mode === '5man' && getChaosLoadouts()) {
+            fragment.appendChild(createChaosTeamElement('Team', 'team-1', team1, await getChaosChampions()));
+        } else if (mode === '5man') {
             fragment.appendChild(createTeamElement('Team', 'team-1', team1, null));
         } else {
             // Pass the saved role assignments to avoid recalculating
@@ -100,6 +121,111 @@ function createTeamElement(title, id, players, roleAssignments = null) {
     return teamDiv;
 }
 
+/**
+ * Creates a Quick Play team element in which every player has a random role and a
+ * random loadout they can reroll
+ * @param {string} title - Team title
+ * @param {string} id - Team element ID
+ * @param {Array} players - Array of player objects
+ * @param {Array} champions - Champion objects to draw from
+ * @returns {HTMLElement} - Team div element
+ */
+function createChaosTeamElement(title, id, players, champions) {
+    const teamDiv = document.createElement('div');
+    teamDiv.className = 'team chaos-team';
+    teamDiv.id = id;
+    teamDiv.innerHTML = `<h2>${title}</h2>`;
+
+    const playerList = document.createElement('ul');
+    const ALL_ROLES = getAllRoles();
+    const { roles, loadouts } = rollChaosTeam(players, ALL_ROLES, champions);
+    const roleOf = player => (roles ? roles.get(player.name) : null);
+
+    // Display players in role order
+    [...players]
+        .sort((a, b) => ALL_ROLES.indexOf(roleOf(a)) - ALL_ROLES.indexOf(roleOf(b)))
+        .forEach(player => playerList.appendChild(createLoadoutItem(player.name, roleOf(player), loadouts, champions)));
+
+    teamDiv.appendChild(playerList);
+    return teamDiv;
+}
+
+/**
+ * Creates a player's row with their role, champion, summoner spells and keystone
+ * @param {string} playerName - Player name
+ * @param {string|null} role - Role the player was given
+ * @param {Map} loadouts - Map of playerName -> loadout for the whole team, updated on reroll
+ * @param {Array} champions - Champion objects to draw from
+ * @returns {HTMLElement} - LI element
+ */
+function createLoadoutItem(playerName, role, loadouts, champions) {
+    const { champion, spells, keystone } = loadouts.get(playerName);
+    const li = document.createElement('li');
+    li.className = 'chaos-player';
+
+    const header = document.createElement('div');
+    header.className = 'chaos-player-header';
+
+    const name = document.createElement('span');
+    name.className = 'chaos-player-name';
+    name.textContent = playerName;
+    header.appendChild(name);
+
+    if (role) {
+        const roleIconContainer = document.createElement('div');
+        roleIconContainer.className = 'player-role-icon';
+        roleIconContainer.innerHTML = `
+            <div class="role-button" data-role="${role}">
+                <div class="role-icon"></div>
+            </div>
+        `;
+        header.appendChild(roleIconContainer);
+    }
+
+    // Rerolls keep the role and never give a champion a teammate already has
+    const rerollBtn = document.createElement('button');
+    rerollBtn.type = 'button';
+    rerollBtn.className = 'chaos-reroll-btn';
+    rerollBtn.textContent = '🎲';
+    rerollBtn.title = `Reroll ${playerName}'s loadout`;
+    rerollBtn.setAttribute('aria-label', rerollBtn.title);
+    rerollBtn.addEventListener('click', () => {
+        const taken = [...loadouts]
+            .filter(([otherName]) => otherName !== playerName)
+            .map(([, loadout]) => loadout.champion?.name);
+        loadouts.set(playerName, rollLoadout(role, champions, taken));
+        li.replaceWith(createLoadoutItem(playerName, role, loadouts, champions));
+    });
+    header.appendChild(rerollBtn);
+
+    const loadout = document.createElement('div');
+    loadout.className = 'chaos-loadout';
+
+    if (champion) {
+        const img = document.createElement('img');
+        img.src = champion.image;
+        img.alt = '';
+        img.className = 'chaos-champion-portrait';
+        loadout.appendChild(img);
+    }
+
+    const championName = document.createElement('span');
+    championName.className = 'chaos-champion';
+    championName.textContent = champion ? champion.name : 'No champion list available';
+
+    const spellList = document.createElement('span');
+    spellList.className = 'chaos-spells';
+    spellList.textContent = spells.join(' + ');
+
+    const keystoneName = document.createElement('span');
+    keystoneName.className = 'chaos-keystone';
+    keystoneName.textContent = keystone;
+
+    loadout.append(championName, spellList, keystoneName);
+    li.append(header, loadout);
+    return li;
+}
+
 /**
  * Renders players with assigned roles
  * @param {HTMLElement} playerList - UL element to append players to
@@ -1,33 +1,87 @@
 // --- DRAFT UI MODULE ---
 
-import { preloadSounds, playBanSound, playPickSound, playChampionHoverSound, playPhaseSound } from './sounds.js';
+import { preloadSounds, playBanSound, playPickSound, playChampionHoverSound, playLockInSound, playPhaseSound } from './sounds.js';
 import * as Multiplayer from './multiplayer.js';
-import { getTeamAssignments, getAllRoles, setTeamAssignments } from './state.js';
+import { exportDraftImage, formatDraftMarkdown, downloadBlob } from './export.js';
+import { getTeamAssignments, getAllRoles, setTeamAssignments, getChampionPools } from './state.js';
+import { DEFAULT_FORMAT_ID, getDraftFormat, listDraftFormats, validateDraftOrder, createCustomFormat, parseDraftOrder, formatDraftOrder, getPhaseLabel } from './formats.mjs';
+import { LANES, inferLanes, getLanePicks } from './lanes.mjs';
+import { loadSuggestionData, getSuggestions } from './suggestions.js';
+import { analyzeComposition } from './composition.js';
+import { createDraftState, startDraft, getCurrentStep, getUnavailableChampions, getFearlessLocks, validateDraftAction, applyDraftAction, undoLastAction, swapLanes, normalizeFearlessVariant, normalizeDisabledChampions, isInChampionPool, validateBlindPick, rollRandomDraft, rerollRandomPick, swapWithBench, lockRandomPick, DEFAULT_FEARLESS_VARIANT, DEFAULT_BLIND_CONFLICT_RULE, BLIND_LOCKED, REJECTION_MESSAGES } from './rules.mjs';
 
 // --- STATE ---
-let champions = []; // Array of {id, name, image, tags}
+let champions = []; // Array of {id, name, image, tags, info}
+let championPatch = null; // Patch the multiplayer room's roster is pinned to, null for the default list
 let filteredChampions = [];
-let gameState = {
-    phase: 'idle',
-    currentTeam: 'blue',
-    currentAction: 'ban',
-    blueBans: [],
-    redBans: [],
-    bluePicks: [],
-    redPicks: []
-};
+let draftFormat = getDraftFormat(DEFAULT_FORMAT_ID); // { id, name, steps } used for solo drafts
+let gameState = createDraftState(draftFormat);
 let fearlessDraftEnabled = false;
-let fearlessUsedChampions = new Set(JSON.parse(localStorage.getItem('fearlessUsedChampions')) || []);
+let fearlessHistory = loadSoloFearlessHistory(); // { champion, team, action, game } entries of the solo session
+let fearlessGamesPlayed = parseInt(localStorage.getItem('fearlessGamesPlayed'), 10) || 0;
+let fearlessVariant = normalizeFearlessVariant(JSON.parse(localStorage.getItem('fearlessVariant')) || {}) || DEFAULT_FEARLESS_VARIANT;
+let fearlessVariantControlsInitialized = false;
 let selectedRole = 'All';
 let draftMode = 'solo'; // 'solo' or 'multiplayer'
 let myTeam = null; // 'blue' or 'red' in multiplayer mode
+let serverClockOffset = 0; // Server time minus local time, in ms
+let turnTimerInterval = null;
+let turnTimerSelectInitialized = false;
+let draftFormatSelectInitialized = false;
+let lockInButtonInitialized = false;
+let undoControlsInitialized = false;
+let pauseButtonInitialized = false;
+let seriesControlsInitialized = false;
+let series = null; // Best-of series snapshot from the server (multiplayer only)
+let redoStack = []; // Solo actions taken back with Undo, most recent last
+let replay = null; // { frames, actions, startedAt, index, timer } while a recorded draft is replayed
+let replayControlsInitialized = false;
+let exportControlsInitialized = false;
+let importControlsInitialized = false;
+let tradeControlsInitialized = false;
+let disabledChampionControlsInitialized = false;
+let championPools = {}; // Player name -> champions the player declared (from the lobby setup or the room)
+let poolRestricted = false; // Multiplayer rooms where picks must come from the pick owner's pool
+let poolRestrictionInitialized = false;
+let blindConflictRule = DEFAULT_BLIND_CONFLICT_RULE; // 'repick' or 'mirror', chosen by the host of a blind pick room
+let blindRuleSelectInitialized = false;
+let randomActiveSlot = null; // { team, slot } of the random draft lane that Reroll, the bench and Lock In act on
+let randomControlsInitialized = false;
+let suggestionData = null; // Counters, synergies, tiers and damage types from data/suggestions/
+let tradeCountdownInterval = null;
+let draggedLane = null; // { team, lane } while a pick is dragged to another lane
 
 // --- CHAMPION API ---
 /**
- * Fetches the list of champions from the Data Dragon API
+ * Fetches the champion list the draft server stores locally, so drafts work without
+ * access to Data Dragon
+ * @returns {Promise<Array|null>} - Array of champion objects, or null if the server has none
+ */
+async function fetchLocalChampionList() {
+    try {
+        const response = await fetch('/api/champions');
+        if (!response.ok) {
+            throw new Error(`Failed to fetch local champions: ${response.status}`);
+        }
+        const { version, champions: championArray } = await response.json();
+        console.log('Champions loaded from server:', championArray.length, 'champions, patch', version);
+        return championArray;
+    } catch (error) {
+        console.warn('Local champion data unavailable, using Data Dragon:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetches the list of champions, from the draft server first and Data Dragon otherwise
  * @returns {Promise<Array>} - Array of champion objects or empty array
  */
-async function fetchChampionList() {
+export async function fetchChampionList() {
+    const localChampions = await fetchLocalChampionList();
+    if (localChampions && localChampions.length > 0) {
+        return localChampions;
+    }
+
     try {
         const versionsResponse = await fetch('https://ddragon.leagueoflegends.com/api/versions.json');
         if (!versionsResponse.ok) {
@@ -46,7 +100,8 @@ async function fetchChampionList() {
             id: champ.id,
             name: champ.name,
             image: baseUrl + champ.image.full,
-            tags: champ.tags
+            tags: champ.tags,
+            info: champ.info // { attack, defense, magic, difficulty } ratings
         }));
         console.log('Champions loaded:', championArray.length, 'champions');
         return championArray;
@@ -56,6 +111,42 @@ async function fetchChampionList() {
     }
 }
 
+/**
+ * Replaces the champion list with the roster of the room's patch
+ * @param {string} patch - Patch version the room is pinned to
+ * @param {Array} roster - Champion objects sent by the server
+ */
+export function setChampionRoster(patch, roster) {
+    championPatch = patch;
+    champions = roster;
+    filterChampions();
+    renderDisabledChampionOptions();
+    updateDraftUI(null, true);
+}
+
+/**
+ * Fills the room patch picker with the patches the server can load
+ * @param {HTMLSelectElement} select - Select element to populate
+ */
+export async function populatePatchOptions(select) {
+    try {
+        const response = await fetch('/api/patches');
+        if (!response.ok) {
+            throw new Error(`Failed to fetch patches: ${response.status}`);
+        }
+        const { local, versions } = await response.json();
+
+        versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            option.textContent = version === local ? `${version} (stored on server)` : version;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Patch list unavailable, rooms use the latest patch:', error.message);
+    }
+}
+
 /**
  * Finds a champion by name
  */
@@ -138,12 +229,18 @@ export function renderChampionGrid(championList) {
 }
 
 /**
- * Handles champion card click event
+ * Handles champion card click event by selecting the champion for the current slot.
+ * Nothing is committed until the Lock In button is pressed.
  * @param {string} championName - Name of the clicked champion
  */
 function handleChampionClick(championName) {
     if (gameState.phase !== 'drafting') return;
 
+    if (gameState.randomDraft) {
+        alert('Champions are rolled in a random draft. Reroll or take one from your team\'s bench.');
+        return;
+    }
+
     // In multiplayer mode, check if it's the player's turn
     if (draftMode === 'multiplayer') {
         // Spectators can't make actions
@@ -152,99 +249,337 @@ function handleChampionClick(championName) {
             return;
         }
 
+        // Both teams pick blind at once; the selection stays on this screen until locked in
+        if (isBlindPicking()) {
+            const blindMessage = getBlindPickMessage();
+            const reason = blindMessage ? null : validateBlindPick(gameState, myTeam, championName, gameState.blindPicks[myTeam].filter(Boolean));
+            if (blindMessage || reason) {
+                alert(blindMessage || REJECTION_MESSAGES[reason]);
+                return;
+            }
+
+            gameState.hover = { team: myTeam, champion: championName };
+            updateHoverPreview();
+            return;
+        }
+
         if (gameState.currentTeam !== myTeam) {
             alert("It's not your turn!");
             return;
         }
-        // Send action to server
-        Multiplayer.sendDraftAction(championName);
-        // Server will handle validation and broadcast the update
+
+        const ownerMessage = getTurnOwnerMessage();
+        if (ownerMessage) {
+            alert(ownerMessage);
+            return;
+        }
+    }
+
+    const reason = validateDraftAction(gameState, { type: 'lock', team: gameState.currentTeam, champion: championName });
+    if (reason) {
+        alert(REJECTION_MESSAGES[reason]);
+        return;
+    }
+
+    gameState.hover = { team: gameState.currentTeam, champion: championName };
+
+    // Let teammates and opponents see the selection before it is locked
+    if (draftMode === 'multiplayer') {
+        Multiplayer.hoverChampion(championName);
+    }
+
+    updateHoverPreview();
+}
+
+/**
+ * Commits the selected champion for the current slot
+ */
+function lockInSelection() {
+    if (!canLockIn()) return;
+
+    if (gameState.randomDraft) {
+        lockActiveRandomPick();
         return;
     }
 
-    // Solo mode logic (existing)
-    const isUnavailable = [...gameState.blueBans, ...gameState.redBans, ...gameState.bluePicks, ...gameState.redPicks].includes(championName);
-    if (isUnavailable) {
-        alert('Champion is already picked or banned.');
+    const championName = gameState.hover.champion;
+    playLockInSound();
+
+    if (draftMode === 'multiplayer') {
+        // Server will handle validation and broadcast the update
+        Multiplayer.sendDraftAction(championName);
+        if (isBlindPicking()) {
+            gameState.hover = null;
+            updateHoverPreview();
+        }
         return;
     }
 
-    if (fearlessDraftEnabled && fearlessUsedChampions.has(championName)) {
-        alert('Champion has been picked in a previous draft in this session.');
+    // Solo mode: the shared rules engine validates and applies the action
+    const result = applyDraftAction(gameState, { type: 'lock', team: gameState.currentTeam, champion: championName });
+    if (!result.ok) {
+        alert(result.message);
         return;
     }
 
+    gameState = { ...result.state, hover: null };
+    redoStack = [];
+    saveSoloFearlessSession();
+    updateHoverPreview();
+
     const championCard = document.querySelector(`[data-champion="${championName}"]`);
 
-    if (gameState.currentAction === 'ban') {
-        if (gameState.currentTeam === 'blue') {
-            gameState.blueBans.push(championName);
-        } else {
-            gameState.redBans.push(championName);
-        }
+    if (result.step.action === 'ban') {
         championCard.classList.add('banned');
 
         // Play ban sound effect
-        playBanSound(gameState.currentTeam);
-    } else if (gameState.currentAction === 'pick') {
-        if (gameState.currentTeam === 'blue') {
-            gameState.bluePicks.push(championName);
-        } else {
-            gameState.redPicks.push(championName);
-        }
-        if (fearlessDraftEnabled) {
-            fearlessUsedChampions.add(championName);
-            localStorage.setItem('fearlessUsedChampions', JSON.stringify(Array.from(fearlessUsedChampions)));
-        }
+        playBanSound(result.step.team);
+    } else {
         championCard.classList.add('picked');
 
         // Play pick sound effect
-        playPickSound(gameState.currentTeam);
+        playPickSound(result.step.team);
     }
 
     setTimeout(() => {
-        advanceDraft();
+        // Play phase sound when transitioning between major phases or finishing the draft
+        const nextStep = getCurrentStep(gameState);
+        if (!nextStep || nextStep.action !== result.step.action) {
+            playPhaseSound();
+        }
         updateDraftUI();
     }, 500);
 }
 
 /**
- * Advances the draft to the next state
+ * Takes back the last action. Multiplayer asks the other captain for approval;
+ * solo mode undoes immediately and keeps the action for Redo.
+ */
+function undoDraftAction() {
+    if (draftMode === 'multiplayer') {
+        Multiplayer.requestUndo();
+        return;
+    }
+
+    const result = undoLastAction(gameState);
+    if (!result.ok) {
+        alert(result.message);
+        return;
+    }
+
+    const wasComplete = gameState.phase === 'complete';
+    redoStack.push(result.action);
+    gameState = { ...result.state, hover: null };
+    saveSoloFearlessSession(wasComplete);
+    updateDraftUI(null, true);
+}
+
+/**
+ * Replays the most recently undone solo action
  */
-function advanceDraft() {
-    const draftOrder = [
-        { action: 'ban', team: 'blue' }, { action: 'ban', team: 'red' },
-        { action: 'ban', team: 'blue' }, { action: 'ban', team: 'red' },
-        { action: 'ban', team: 'blue' }, { action: 'ban', team: 'red' },
-        { action: 'pick', team: 'blue' }, { action: 'pick', team: 'red' },
-        { action: 'pick', team: 'red' }, { action: 'pick', team: 'blue' },
-        { action: 'pick', team: 'blue' }, { action: 'pick', team: 'red' },
-        { action: 'ban', team: 'red' }, { action: 'ban', team: 'blue' },
-        { action: 'ban', team: 'red' }, { action: 'ban', team: 'blue' },
-        { action: 'pick', team: 'red' }, { action: 'pick', team: 'blue' },
-        { action: 'pick', team: 'blue' }, { action: 'pick', team: 'red' },
-    ];
+function redoDraftAction() {
+    const action = redoStack.pop();
+    if (!action) return;
+
+    const result = applyDraftAction(gameState, {
+        type: action.champion ? 'lock' : 'skip',
+        team: action.team,
+        champion: action.champion
+    });
+
+    if (!result.ok) {
+        // The board changed in a way that makes the old action illegal (e.g. Fearless was enabled)
+        redoStack = [];
+        alert(result.message);
+        updateUndoControls();
+        return;
+    }
+
+    gameState = { ...result.state, hover: null };
+    saveSoloFearlessSession();
+    updateDraftUI(null, true);
+}
 
-    const totalActions = gameState.blueBans.length + gameState.redBans.length + gameState.bluePicks.length + gameState.redPicks.length;
-    const previousTotalActions = totalActions - 1;
+/**
+ * Enables Undo/Redo only when there is something they can act on
+ */
+function updateUndoControls() {
+    const undoBtn = document.getElementById('draft-undo-btn');
+    const redoBtn = document.getElementById('draft-redo-btn');
+    const lastAction = gameState.actions[gameState.actions.length - 1];
 
-    if (totalActions < draftOrder.length) {
-        const nextAction = draftOrder[totalActions];
-        const previousAction = previousTotalActions >= 0 ? draftOrder[previousTotalActions] : null;
+    if (draftMode === 'multiplayer') {
+        undoBtn.classList.toggle('hidden', (myTeam !== 'blue' && myTeam !== 'red') || !Multiplayer.getIsCaptain());
+        undoBtn.disabled = !lastAction || lastAction.team !== myTeam || gameState.blind || gameState.random;
+        redoBtn.classList.add('hidden');
+        return;
+    }
 
-        gameState.currentAction = nextAction.action;
-        gameState.currentTeam = nextAction.team;
+    undoBtn.classList.remove('hidden');
+    redoBtn.classList.remove('hidden');
+    // Rolls are not actions, so a random draft cannot be stepped back
+    undoBtn.disabled = !lastAction || gameState.random;
+    redoBtn.disabled = redoStack.length === 0 || gameState.random;
+}
 
-        // Play phase sound when transitioning between major phases
-        if (previousAction && previousAction.action !== nextAction.action) {
-            playPhaseSound();
+/**
+ * Shows the series score ("Game 2 of 5 — Blue 1 : 0 Red") and the between-game
+ * controls for recording the winner and choosing sides
+ */
+function updateSeriesDisplay() {
+    const header = document.getElementById('series-header');
+    const inSeries = draftMode === 'multiplayer' && series && series.bestOf > 1;
+
+    header.classList.toggle('hidden', !inSeries);
+    if (!inSeries) return;
+
+    let scoreText = `Game ${series.gameNumber} of ${series.bestOf} — Blue ${series.wins.blue} : ${series.wins.red} Red`;
+    if (series.winner) {
+        scoreText += ` — ${series.winner === 'blue' ? 'Blue' : 'Red'} side wins the series`;
+    } else if (series.awaitingSide) {
+        scoreText += ` — ${series.awaitingSide === 'blue' ? 'Blue' : 'Red'} side is choosing a side`;
+    }
+    document.getElementById('series-score').textContent = scoreText;
+
+    const awaitingResult = !series.winner && !series.gameRecorded && gameState.phase === 'complete';
+    document.getElementById('series-result-controls').classList.toggle('hidden', !(awaitingResult && Multiplayer.getIsHost()));
+    document.getElementById('series-side-controls').classList.toggle('hidden', !series.awaitingSide || series.awaitingSide !== myTeam);
+}
+
+/**
+ * Shows the host's Pause/Resume button while a multiplayer draft is running
+ */
+function updatePauseControls() {
+    const pauseBtn = document.getElementById('draft-pause-btn');
+    const isPaused = gameState.phase === 'paused';
+    const canPause = draftMode === 'multiplayer' && Multiplayer.getIsHost() &&
+        (gameState.phase === 'drafting' || isPaused);
+
+    pauseBtn.classList.toggle('hidden', !canPause);
+    pauseBtn.querySelector('.btn-icon').textContent = isPaused ? '▶️' : '⏸️';
+    pauseBtn.querySelector('.btn-text').textContent = isPaused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Checks whether this client holds a selection it is allowed to lock in
+ * @returns {boolean}
+ */
+function canLockIn() {
+    const { hover } = gameState;
+    if (gameState.randomDraft) {
+        return gameState.phase === 'drafting' && !!getRandomActiveSlot();
+    }
+    if (isBlindPicking()) {
+        return !!hover && hover.team === myTeam && getBlindPickSlot() !== -1;
+    }
+    if (gameState.phase !== 'drafting' || !hover || hover.team !== gameState.currentTeam) {
+        return false;
+    }
+
+    return draftMode !== 'multiplayer' || (hover.team === myTeam && !getTurnOwnerMessage());
+}
+
+/**
+ * Explains why a seated multiplayer player cannot act on their team's turn. The captain
+ * bans and can make any pick; teammates make the pick for their own role.
+ * @returns {string|null} - Message, or null if this player may act
+ */
+function getTurnOwnerMessage() {
+    if (draftMode !== 'multiplayer' || Multiplayer.getIsCaptain()) return null;
+
+    if (gameState.currentAction === 'ban') {
+        return 'Your captain handles bans.';
+    }
+    if (gameState.turnOwner !== Multiplayer.getPlayerName()) {
+        return gameState.turnOwner ? `This pick belongs to ${gameState.turnOwner}.` : 'Your captain makes this pick.';
+    }
+    return null;
+}
+
+/**
+ * Shows the selected champion as a translucent preview in the slot it would fill
+ * and highlights it in the champion grid
+ */
+function updateHoverPreview() {
+    document.querySelectorAll('.hover-preview').forEach(img => img.remove());
+    document.querySelectorAll('.hovering').forEach(el => el.classList.remove('hovering'));
+
+    const { hover } = gameState;
+    const step = isBlindPicking() ? { team: myTeam, action: 'pick' } : getCurrentStep(gameState);
+
+    if (hover && step && hover.team === step.team) {
+        const champ = findChampion(hover.champion);
+        const card = document.querySelector(`.champion-card-league[data-champion="${hover.champion}"]`);
+        if (card) {
+            card.classList.add('hovering');
         }
-    } else {
-        gameState.phase = 'complete';
-        gameState.currentAction = null;
-        gameState.currentTeam = null;
-        playPhaseSound();
+
+        const isBan = step.action === 'ban';
+        const filled = gameState[`${step.team}${isBan ? 'Bans' : 'Picks'}`];
+        let slotIndex = filled.length;
+        if (isBlindPicking()) {
+            // Nothing is on the board until the reveal, so each blind pick slot is its lane
+            slotIndex = getBlindPickSlot();
+        } else if (!isBan) {
+            // Preview the pick in its owner's lane, else in the empty lane it fits best,
+            // leaving the placed picks where they are
+            const layout = inferLanes(filled, gameState[`${step.team}Lanes`]);
+            const ownerLane = getPickOwnerLane(step.team, filled.length);
+            slotIndex = ownerLane !== -1 ? ownerLane : inferLanes([...filled, hover.champion], layout).indexOf(filled.length);
+        }
+        const slot = document.getElementById(`${step.team}-team-${isBan ? 'bans' : 'picks'}`).children[slotIndex];
+
+        if (champ && slot) {
+            const img = document.createElement('img');
+            img.src = champ.image;
+            img.alt = champ.name;
+            img.className = `hover-preview ${isBan ? 'ban-portrait' : 'pick-portrait'}`;
+
+            slot.classList.add('hovering');
+            (slot.querySelector('.empty-portrait') || slot).appendChild(img);
+        }
+    }
+
+    const lockInBtn = document.getElementById('lock-in-btn');
+    lockInBtn.disabled = !canLockIn();
+    lockInBtn.classList.toggle('hidden', gameState.phase !== 'drafting' || (draftMode === 'multiplayer' && myTeam === 'spectator'));
+}
+
+/**
+ * Loads the solo Fearless session, upgrading the older list of champion names
+ * @returns {Array} - { champion, team, action, game } entries
+ */
+function loadSoloFearlessHistory() {
+    return normalizeFearlessEntries(JSON.parse(localStorage.getItem('fearlessUsedChampions')) || []);
+}
+
+/**
+ * Upgrades plain champion names from older sessions to { champion, team, action, game } entries
+ * @param {Array} entries - Stored Fearless entries
+ * @returns {Array}
+ */
+function normalizeFearlessEntries(entries) {
+    return entries.map(entry => typeof entry === 'string'
+        ? { champion: entry, team: null, action: 'pick', game: 1 }
+        : entry);
+}
+
+/**
+ * Persists the solo Fearless session so it carries over to the next draft
+ * @param {boolean} wasComplete - Whether the draft was complete before the change being saved
+ */
+function saveSoloFearlessSession(wasComplete = false) {
+    // Count finished drafts for Fearless game windows (an undo can reopen the last one)
+    const isComplete = gameState.phase === 'complete';
+    if (isComplete !== wasComplete) {
+        fearlessGamesPlayed = Math.max(0, fearlessGamesPlayed + (isComplete ? 1 : -1));
+        localStorage.setItem('fearlessGamesPlayed', String(fearlessGamesPlayed));
     }
+
+    if (!gameState.fearlessEnabled) return;
+
+    fearlessHistory = [...gameState.fearlessUsedChampions];
+    localStorage.setItem('fearlessUsedChampions', JSON.stringify(fearlessHistory));
 }
 
 /**
@@ -255,12 +590,33 @@ function advanceDraft() {
 export function updateDraftUI(newGameState = null, isSync = false) {
     // If new state provided (from multiplayer), merge it
     if (newGameState) {
+        const localHover = gameState.hover;
         gameState = { ...gameState, ...newGameState };
 
-        // Sync fearlessUsedChampions Set with the array from server
+        // Blind selections never reach the server, so keep this player's one until it is locked
+        if (isBlindPicking() && localHover && localHover.team === myTeam && getBlindPickSlot() !== -1 &&
+            !gameState.blindPicks[myTeam].includes(localHover.champion)) {
+            gameState.hover = localHover;
+        }
+
+        // Sync the Fearless history with the entries from server
         if (newGameState.fearlessUsedChampions && Array.isArray(newGameState.fearlessUsedChampions)) {
-            fearlessUsedChampions = new Set(newGameState.fearlessUsedChampions);
+            fearlessHistory = newGameState.fearlessUsedChampions;
+        }
+
+        // Track clock skew so the turn countdown matches the server deadline
+        if (newGameState.serverTime) {
+            serverClockOffset = newGameState.serverTime - Date.now();
+        }
+    }
+
+    // A new state from the server ends the replay; other redraws keep showing it
+    if (replay) {
+        if (!newGameState) {
+            showReplayFrame(replay.index, true);
+            return;
         }
+        closeReplay();
     }
 
     const statusElement = document.getElementById('draft-status');
@@ -268,7 +624,7 @@ export function updateDraftUI(newGameState = null, isSync = false) {
     const body = document.body;
     const championGrid = document.getElementById('champion-grid');
 
-    body.classList.remove('blue-turn', 'red-turn', 'my-turn', 'opponent-turn', 'spectator-mode');
+    body.classList.remove('blue-turn', 'red-turn', 'my-turn', 'opponent-turn', 'spectator-mode', 'draft-paused', 'random-drafting');
     championGrid.classList.remove('picking', 'banning');
 
     // Only add animation classes if this is a live update (not a sync/reconnect)
@@ -288,6 +644,34 @@ export function updateDraftUI(newGameState = null, isSync = false) {
     if (gameState.phase === 'complete') {
         statusElement.textContent = 'Draft Complete!';
         phaseElement.textContent = 'COMPLETE';
+    } else if (gameState.phase === 'paused') {
+        statusElement.textContent = 'Paused by host';
+        phaseElement.textContent = 'PAUSED';
+        body.classList.add('draft-paused');
+    } else if (gameState.randomDraft && gameState.phase === 'drafting') {
+        const canAct = !!getRandomActiveSlot();
+        if (draftMode !== 'multiplayer') {
+            statusElement.textContent = 'Reroll, swap with the bench or lock in each lane';
+        } else if (myTeam === 'spectator') {
+            statusElement.textContent = 'Spectating - Players are rolling champions...';
+            body.classList.add('spectator-mode');
+        } else {
+            statusElement.textContent = canAct ? 'Your Turn - Reroll or lock in your champion' : 'Waiting for everyone to lock in...';
+            body.classList.add(canAct ? 'my-turn' : 'opponent-turn');
+        }
+        body.classList.add('random-drafting');
+        phaseElement.textContent = 'RANDOM DRAFT';
+    } else if (isBlindPicking()) {
+        const canPick = getBlindPickSlot() !== -1;
+        if (myTeam === 'spectator') {
+            statusElement.textContent = 'Spectating - Both teams picking blind...';
+            body.classList.add('spectator-mode');
+        } else {
+            statusElement.textContent = canPick ? 'Your Turn - Blind Pick' : 'Waiting for the reveal...';
+            body.classList.add(canPick ? 'my-turn' : 'opponent-turn');
+        }
+        championGrid.classList.add('picking');
+        phaseElement.textContent = 'BLIND PICK';
     } else if (gameState.phase === 'drafting') {
         const teamText = gameState.currentTeam === 'blue' ? 'Blue Team' : 'Red Team';
         const actionText = gameState.currentAction === 'ban' ? 'Banning' : 'Picking';
@@ -298,10 +682,14 @@ export function updateDraftUI(newGameState = null, isSync = false) {
                 statusElement.textContent = `Spectating - ${teamText} ${actionText}...`;
                 body.classList.add('spectator-mode');
             } else {
-                const isMyTurn = gameState.currentTeam === myTeam;
-                statusElement.textContent = isMyTurn
-                    ? `Your Turn - ${actionText}`
-                    : `Opponent ${actionText}...`;
+                const isMyTurn = gameState.currentTeam === myTeam && !getTurnOwnerMessage();
+                let waitingText = `Opponent ${actionText}...`;
+                if (gameState.currentTeam === myTeam) {
+                    waitingText = gameState.currentAction === 'pick' && gameState.turnOwner
+                        ? `${gameState.turnOwner} ${actionText}...`
+                        : `Captain ${actionText}...`;
+                }
+                statusElement.textContent = isMyTurn ? `Your Turn - ${actionText}` : waitingText;
                 body.classList.add(isMyTurn ? 'my-turn' : 'opponent-turn');
             }
         } else {
@@ -320,17 +708,7 @@ export function updateDraftUI(newGameState = null, isSync = false) {
             championGrid.classList.add('banning');
         }
 
-        const totalActions = gameState.blueBans.length + gameState.redBans.length + gameState.bluePicks.length + gameState.redPicks.length;
-
-        if (totalActions < 6) {
-            phaseElement.textContent = 'BAN PHASE 1';
-        } else if (totalActions < 12) {
-            phaseElement.textContent = 'PICK PHASE 1';
-        } else if (totalActions < 16) {
-            phaseElement.textContent = 'BAN PHASE 2';
-        } else {
-            phaseElement.textContent = 'PICK PHASE 2';
-        }
+        phaseElement.textContent = getPhaseLabel(gameState.draftOrder, gameState.currentTurn);
     } else {
         statusElement.textContent = 'Waiting for draft to begin...';
         phaseElement.textContent = 'IDLE';
@@ -338,9 +716,66 @@ export function updateDraftUI(newGameState = null, isSync = false) {
 
     updateBanDisplay('blue', gameState.blueBans, isSync);
     updateBanDisplay('red', gameState.redBans, isSync);
-    updatePickDisplay('blue', gameState.bluePicks, isSync);
-    updatePickDisplay('red', gameState.redPicks, isSync);
+    updatePickDisplay('blue', gameState.bluePicks, gameState.blueLanes, isSync);
+    updatePickDisplay('red', gameState.redPicks, gameState.redLanes, isSync);
+    updateBlindPickSlots();
+    updateRandomPickSlots();
+    updateRandomPanel();
     updateChampionGridAvailability(isSync);
+    updateHoverPreview();
+    updateUndoControls();
+    updatePauseControls();
+    updateSeriesDisplay();
+    updateReplayButton();
+    updateExportControls();
+    updateImportControls();
+    updateTradePanel();
+    updateDisabledChampionsPanel();
+    updatePoolRestrictionToggle();
+    updateBlindRuleSelect();
+    updateSuggestionsPanel();
+    updateCompositionPanel();
+    updateTurnTimer();
+}
+
+/**
+ * Shows the countdown for the current turn, driven by the server's turn deadline
+ */
+function updateTurnTimer() {
+    const timerElement = document.getElementById('draft-turn-timer');
+
+    if (turnTimerInterval) {
+        clearInterval(turnTimerInterval);
+        turnTimerInterval = null;
+    }
+
+    // Show the time left on the clock, frozen, while the host has the draft paused
+    if (gameState.phase === 'paused' && gameState.pausedTurnRemaining != null) {
+        timerElement.textContent = `${Math.ceil(gameState.pausedTurnRemaining / 1000)}s`;
+        timerElement.classList.remove('hidden', 'urgent');
+        return;
+    }
+
+    if (gameState.phase !== 'drafting' || !gameState.turnDeadline) {
+        timerElement.classList.add('hidden');
+        return;
+    }
+
+    const renderCountdown = () => {
+        const remainingMs = Math.max(0, gameState.turnDeadline - (Date.now() + serverClockOffset));
+        const remainingSeconds = Math.ceil(remainingMs / 1000);
+        timerElement.textContent = `${remainingSeconds}s`;
+        timerElement.classList.toggle('urgent', remainingSeconds <= 10);
+
+        if (remainingMs === 0 && turnTimerInterval) {
+            clearInterval(turnTimerInterval);
+            turnTimerInterval = null;
+        }
+    };
+
+    timerElement.classList.remove('hidden');
+    renderCountdown();
+    turnTimerInterval = setInterval(renderCountdown, 250);
 }
 
 /**
@@ -394,6 +829,9 @@ function updateBanDisplay(team, bans, skipAnimations = false) {
 
                 banSlot.appendChild(img);
                 banSlot.appendChild(banX);
+            } else if (bans[i] === null) {
+                // Ban was skipped when the turn timer ran out
+                banSlot.classList.add('skipped');
             }
         } else {
             banSlot.classList.add('empty');
@@ -404,134 +842,104 @@ function updateBanDisplay(team, bans, skipAnimations = false) {
 }
 
 /**
- * Updates the pick display for a team
+ * Lists the player name and role label shown in each lane of a team's picks
  * @param {string} team - 'blue' or 'red'
- * @param {string[]} picks - Array of picked champion names in pick order
- * @param {boolean} skipAnimations - Whether to skip animations (for syncing)
+ * @returns {Object} - { playerNames, roleLabels } in lane order
  */
-function updatePickDisplay(team, picks, skipAnimations = false) {
-    const pickContainer = document.getElementById(`${team}-team-picks`);
-    pickContainer.innerHTML = '';
-
+function getPickSlotLabels(team) {
     // Get role assignments from state
     const teamAssignments = getTeamAssignments();
-    const roles = getAllRoles(); // ['TOP', 'JGL', 'MID', 'ADC', 'SUP']
+    const roles = getAllRoles(); // ['TOP', 'JGL', 'MID', 'ADC', 'SUP'], the lane order of the board
+    const teamRoleMap = team === 'blue' ? teamAssignments?.blueTeam : teamAssignments?.redTeam;
+
+    // Create a map of role -> playerName from the playerName -> role Map
+    const roleToPlayer = new Map();
+    if (teamRoleMap instanceof Map) {
+        for (const [playerName, role] of teamRoleMap.entries()) {
+            roleToPlayer.set(role, playerName);
+        }
+    }
 
-    // Build arrays for player names and role labels for this team's picks
-    let playerNames = [];
-    let roleLabels = [];
+    return {
+        playerNames: roles.map(role => roleToPlayer.get(role) || null),
+        roleLabels: roles
+    };
+}
 
-    if (teamAssignments) {
-        const teamRoleMap = team === 'blue' ? teamAssignments.blueTeam : teamAssignments.redTeam;
+/**
+ * Finds the lane a multiplayer pick is pinned to: its owner's, as the server assigns picks
+ * to a team's players in role order
+ * @returns {number} - Lane index, or -1 when the pick has no owner
+ */
+function getPickOwnerLane(team, slot) {
+    if (draftMode !== 'multiplayer') return -1;
 
-        if (teamRoleMap && teamRoleMap instanceof Map) {
-            // Create a map of role -> playerName from the playerName -> role Map
-            const roleToPlayer = new Map();
-            for (const [playerName, role] of teamRoleMap.entries()) {
-                roleToPlayer.set(role, playerName);
-            }
+    const { playerNames } = getPickSlotLabels(team);
+    const owner = playerNames.filter(Boolean)[slot];
+    return owner ? playerNames.indexOf(owner) : -1;
+}
 
-            // Build ordered arrays following standard role order
-            roles.forEach(role => {
-                if (roleToPlayer.has(role)) {
-                    playerNames.push(roleToPlayer.get(role));
-                    roleLabels.push(role);
-                }
-            });
-        }
-    }
+/**
+ * Updates the pick display for a team, with the picks sorted into lanes
+ * @param {string} team - 'blue' or 'red'
+ * @param {string[]} picks - Array of picked champion names in pick order
+ * @param {Array|null} pinnedLanes - Lane layout pinned by pick owners and the captain (see lanes.mjs)
+ * @param {boolean} skipAnimations - Whether to skip animations (for syncing)
+ */
+function updatePickDisplay(team, picks, pinnedLanes = null, skipAnimations = false) {
+    const pickContainer = document.getElementById(`${team}-team-picks`);
+    pickContainer.innerHTML = '';
 
-    // Fallback to generic labels if no role assignments available
-    if (roleLabels.length === 0) {
-        roleLabels = team === 'blue'
-            ? ['B1', 'B2', 'B3', 'B4', 'B5']
-            : ['R1', 'R2', 'R3', 'R4', 'R5'];
-        playerNames = Array(5).fill(null);
-    }
+    const roles = getAllRoles();
+    const { playerNames, roleLabels } = getPickSlotLabels(team);
+    const layout = inferLanes(picks, pinnedLanes);
+    let skippedPicks = picks.filter(pick => pick === null).length;
+    const canMove = canMoveLanes(team);
 
-    const maxPicks = 5;
-    for (let i = 0; i < maxPicks; i++) {
+    for (let i = 0; i < layout.length; i++) {
         const pickSlot = document.createElement('div');
         pickSlot.className = 'pick-slot-league';
 
-        if (i < picks.length) {
-            const champ = findChampion(picks[i]);
-            if (champ) {
-                pickSlot.classList.add('filled');
-
-                // Skip animations when syncing state
-                if (skipAnimations) {
-                    pickSlot.style.animation = 'none';
-                }
-
-                const portraitContainer = document.createElement('div');
-                portraitContainer.className = 'pick-portrait-container';
-
-                const img = document.createElement('img');
-                img.src = champ.image;
-                img.alt = champ.name;
-                img.className = 'pick-portrait';
+        const champ = layout[i] !== null ? findChampion(picks[layout[i]]) : null;
+        if (champ) {
+            pickSlot.classList.add('filled');
 
-                // Skip animations when syncing state
-                if (skipAnimations) {
-                    img.style.animation = 'none';
-                }
+            // Skip animations when syncing state
+            if (skipAnimations) {
+                pickSlot.style.animation = 'none';
+            }
 
-                img.onerror = () => {
-                    console.error(`Failed to load pick image for ${champ.name}: ${champ.image}`);
-                    img.style.display = 'none';
-                    portraitContainer.style.backgroundColor = 'rgba(26, 39, 58, 0.8)';
-                };
+            const portraitContainer = document.createElement('div');
+            portraitContainer.className = 'pick-portrait-container';
 
-                portraitContainer.appendChild(img);
+            const img = document.createElement('img');
+            img.src = champ.image;
+            img.alt = champ.name;
+            img.className = 'pick-portrait';
 
-                const champName = document.createElement('div');
-                champName.className = 'pick-champ-name';
-                champName.textContent = champ.name;
+            // Skip animations when syncing state
+            if (skipAnimations) {
+                img.style.animation = 'none';
+            }
 
-                // Skip animations when syncing state
-                if (skipAnimations) {
-                    champName.style.animation = 'none';
-                }
+            img.onerror = () => {
+                console.error(`Failed to load pick image for ${champ.name}: ${champ.image}`);
+                img.style.display = 'none';
+                portraitContainer.style.backgroundColor = 'rgba(26, 39, 58, 0.8)';
+            };
 
-                // Show player name if available
-                const playerNameDiv = document.createElement('div');
-                playerNameDiv.className = 'pick-player-name';
-                if (playerNames[i]) {
-                    playerNameDiv.textContent = playerNames[i];
-                } else {
-                    playerNameDiv.textContent = '';
-                }
+            portraitContainer.appendChild(img);
 
-                const position = document.createElement('div');
-                position.className = 'pick-position';
-
-                // Add role icon if role label is available
-                if (roleLabels[i] && roles.includes(roleLabels[i])) {
-                    const roleIconDiv = document.createElement('div');
-                    roleIconDiv.className = 'pick-role-icon-container';
-                    roleIconDiv.innerHTML = `
-                        <div class="role-button" data-role="${roleLabels[i]}">
-                            <div class="role-icon"></div>
-                        </div>
-                    `;
-                    position.appendChild(roleIconDiv);
-                } else {
-                    position.textContent = roleLabels[i] || `${team === 'blue' ? 'B' : 'R'}${i + 1}`;
-                }
+            const champName = document.createElement('div');
+            champName.className = 'pick-champ-name';
+            champName.textContent = champ.name;
 
-                pickSlot.appendChild(portraitContainer);
-                pickSlot.appendChild(champName);
-                pickSlot.appendChild(playerNameDiv);
-                pickSlot.appendChild(position);
+            // Skip animations when syncing state
+            if (skipAnimations) {
+                champName.style.animation = 'none';
             }
-        } else {
-            pickSlot.classList.add('empty');
-
-            const emptyContainer = document.createElement('div');
-            emptyContainer.className = 'pick-portrait-container empty-portrait';
 
-            // Show player name even for empty slots
+            // Show player name if available
             const playerNameDiv = document.createElement('div');
             playerNameDiv.className = 'pick-player-name';
             if (playerNames[i]) {
@@ -557,63 +965,1634 @@ function updatePickDisplay(team, picks, skipAnimations = false) {
                 position.textContent = roleLabels[i] || `${team === 'blue' ? 'B' : 'R'}${i + 1}`;
             }
 
-            pickSlot.appendChild(emptyContainer);
+            pickSlot.appendChild(portraitContainer);
+            pickSlot.appendChild(champName);
             pickSlot.appendChild(playerNameDiv);
             pickSlot.appendChild(position);
         }
 
-        pickContainer.appendChild(pickSlot);
-    }
-}
-
-/**
- * Updates champion grid to show availability
- * @param {boolean} skipAnimations - Whether to skip animations when marking as banned/picked
- */
-function updateChampionGridAvailability(skipAnimations = false) {
-    const allBans = [...gameState.blueBans, ...gameState.redBans];
-    const allPicks = [...gameState.bluePicks, ...gameState.redPicks];
-    const unavailable = new Set([...allBans, ...allPicks]);
+        if (!pickSlot.classList.contains('filled')) {
+            pickSlot.classList.add('empty');
 
-    if (fearlessDraftEnabled) {
-        fearlessUsedChampions.forEach(champ => unavailable.add(champ));
-    }
+            // A pick was skipped when the turn timer ran out with no champion left to lock
+            if (skippedPicks > 0) {
+                pickSlot.classList.add('skipped');
+                skippedPicks--;
+            }
 
-    const championCards = document.querySelectorAll('.champion-card-league');
+            const emptyContainer = document.createElement('div');
+            emptyContainer.className = 'pick-portrait-container empty-portrait';
+
+            // Show player name even for empty slots
+            const playerNameDiv = document.createElement('div');
+            playerNameDiv.className = 'pick-player-name';
+            if (playerNames[i]) {
+                playerNameDiv.textContent = playerNames[i];
+            } else {
+                playerNameDiv.textContent = '';
+            }
+
+            const position = document.createElement('div');
+            position.className = 'pick-position';
+
+            // Add role icon if role label is available
+            if (roleLabels[i] && roles.includes(roleLabels[i])) {
+                const roleIconDiv = document.createElement('div');
+                roleIconDiv.className = 'pick-role-icon-container';
+                roleIconDiv.innerHTML = `
+                    <div class="role-button" data-role="${roleLabels[i]}">
+                        <div class="role-icon"></div>
+                    </div>
+                `;
+                position.appendChild(roleIconDiv);
+            } else {
+                position.textContent = roleLabels[i] || `${team === 'blue' ? 'B' : 'R'}${i + 1}`;
+            }
+
+            pickSlot.appendChild(emptyContainer);
+            pickSlot.appendChild(playerNameDiv);
+            pickSlot.appendChild(position);
+        }
+
+        if (canMove) {
+            addLaneDragHandlers(pickSlot, team, i);
+        }
+
+        pickContainer.appendChild(pickSlot);
+    }
+}
+
+/**
+ * Whether this client may rearrange a team's lanes: anyone in solo mode, the captain in multiplayer
+ */
+function canMoveLanes(team) {
+    if (replay) return false;
+    return draftMode === 'solo' || (myTeam === team && Multiplayer.getIsCaptain());
+}
+
+/**
+ * Lets a lane's champion be dragged onto another lane of the same team, swapping the two
+ */
+function addLaneDragHandlers(pickSlot, team, lane) {
+    if (pickSlot.classList.contains('filled')) {
+        pickSlot.draggable = true;
+        pickSlot.addEventListener('dragstart', event => {
+            draggedLane = { team, lane };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(lane));
+            pickSlot.classList.add('dragging');
+        });
+        pickSlot.addEventListener('dragend', () => {
+            draggedLane = null;
+            pickSlot.classList.remove('dragging');
+        });
+    }
+
+    pickSlot.addEventListener('dragover', event => {
+        if (draggedLane && draggedLane.team === team && draggedLane.lane !== lane) {
+            event.preventDefault();
+            pickSlot.classList.add('lane-drop-target');
+        }
+    });
+    pickSlot.addEventListener('dragleave', () => pickSlot.classList.remove('lane-drop-target'));
+    pickSlot.addEventListener('drop', event => {
+        event.preventDefault();
+        pickSlot.classList.remove('lane-drop-target');
+        if (draggedLane && draggedLane.team === team && draggedLane.lane !== lane) {
+            moveChampionLane(team, [draggedLane.lane, lane]);
+        }
+        draggedLane = null;
+    });
+}
+
+/**
+ * Swaps the champions in two lanes; multiplayer asks the server so every client sees it
+ * @param {string} team - 'blue' or 'red'
+ * @param {number[]} lanes - The two lanes, in TOP/JGL/MID/ADC/SUP order
+ */
+function moveChampionLane(team, lanes) {
+    if (draftMode === 'multiplayer') {
+        Multiplayer.swapLanes(lanes);
+        return;
+    }
+
+    const result = swapLanes(gameState, team, lanes);
+    if (!result.ok) {
+        console.warn('Lane swap rejected:', result.message);
+        return;
+    }
+
+    gameState = result.state;
+    updateDraftUI(null, true);
+}
+
+/**
+ * Updates champion grid to show availability
+ * @param {boolean} skipAnimations - Whether to skip animations when marking as banned/picked
+ */
+function updateChampionGridAvailability(skipAnimations = false) {
+    const allBans = [...gameState.blueBans, ...gameState.redBans];
+    const allPicks = [...gameState.bluePicks, ...gameState.redPicks];
+    const unavailable = getUnavailableChampions(gameState);
+    const fearlessLocks = getFearlessLocks(gameState);
+    const disabledChampions = gameState.disabledChampions || [];
+    const turnPool = getTurnChampionPool();
+
+    const championCards = document.querySelectorAll('.champion-card-league');
 
     championCards.forEach(card => {
         const championName = card.dataset.champion;
+        const reason = getUnavailableReason(championName, fearlessLocks);
+        const onBoard = allBans.includes(championName) || allPicks.includes(championName);
+        const hostDisabled = disabledChampions.includes(championName) && !onBoard;
+        const fearlessLocked = fearlessLocks.has(championName) && !onBoard && !hostDisabled;
+
+        card.title = reason || '';
+        card.classList.toggle('fearless-locked', fearlessLocked);
+        card.classList.toggle('host-disabled', hostDisabled);
+
+        // Point the pick owner to their declared champions; restricted rooms dim the rest
+        const inPool = !!turnPool && !unavailable.has(championName) && isInChampionPool(turnPool, championName);
+        card.classList.toggle('in-pool', inPool);
+        card.classList.toggle('outside-pool', !!turnPool && poolRestricted && !unavailable.has(championName) && !inPool);
+        card.querySelector('.champion-lock-reason')?.remove();
+        if (fearlessLocked || hostDisabled) {
+            const reasonLabel = document.createElement('div');
+            reasonLabel.className = hostDisabled ? 'champion-lock-reason champion-disabled-badge' : 'champion-lock-reason';
+            reasonLabel.textContent = hostDisabled ? 'Disabled' : reason;
+            card.appendChild(reasonLabel);
+        }
+
         if (unavailable.has(championName)) {
             card.classList.add('disabled');
 
-            // In multiplayer mode, mark cards as banned/picked without animation during sync
-            if (draftMode === 'multiplayer') {
-                const isBanned = allBans.includes(championName);
-                const isPicked = allPicks.includes(championName);
+            // In multiplayer mode, mark cards as banned/picked without animation during sync
+            if (draftMode === 'multiplayer') {
+                const isBanned = allBans.includes(championName);
+                const isPicked = allPicks.includes(championName);
+
+                if (isBanned && !card.classList.contains('banned')) {
+                    card.classList.add('banned');
+                    if (skipAnimations) {
+                        card.style.animation = 'none';
+                        // Also disable pseudo-element animations
+                        card.style.setProperty('--skip-ban-animation', '1');
+                    }
+                } else if (isPicked && !card.classList.contains('picked')) {
+                    card.classList.add('picked');
+                    if (skipAnimations) {
+                        card.style.animation = 'none';
+                        // Also disable pseudo-element animations
+                        card.style.setProperty('--skip-pick-animation', '1');
+                    }
+                }
+            }
+        } else {
+            card.classList.remove('disabled', 'banned', 'picked');
+            card.style.animation = '';
+            card.style.removeProperty('--skip-ban-animation');
+            card.style.removeProperty('--skip-pick-animation');
+        }
+    });
+}
+
+/**
+ * Explains why a champion cannot be chosen, e.g. "Banned by Blue" or "Used by Red in G1"
+ * @param {string} championName - Champion name
+ * @param {Map<string, Object>} fearlessLocks - Locks from getFearlessLocks
+ * @returns {string|null} - Reason text, or null if the champion is available
+ */
+function getUnavailableReason(championName, fearlessLocks) {
+    const teamLabel = team => (team === 'blue' ? 'Blue' : 'Red');
+
+    for (const team of ['blue', 'red']) {
+        if (gameState[`${team}Bans`].includes(championName)) return `Banned by ${teamLabel(team)}`;
+        if (gameState[`${team}Picks`].includes(championName)) return `Picked by ${teamLabel(team)}`;
+    }
+
+    if ((gameState.disabledChampions || []).includes(championName)) return 'Disabled by the host';
+
+    const lock = fearlessLocks.get(championName);
+    if (!lock) return null;
+
+    const verb = lock.action === 'ban' ? 'Banned' : 'Used';
+    return lock.team
+        ? `${verb} by ${teamLabel(lock.team)} in G${lock.game}`
+        : `${verb} in G${lock.game}`;
+}
+
+// --- DRAFT REPLAY ---
+
+const REPLAY_MIN_STEP_MS = 500;
+const REPLAY_MAX_STEP_MS = 3000;
+const REPLAY_DEFAULT_STEP_MS = 1200;
+
+/**
+ * Opens the replay bar, starting with the draft on the board when it has any actions.
+ * Saved drafts from the server can be picked from the list next to the controls.
+ */
+async function openReplay() {
+    if (gameState.actions.length > 0) {
+        startReplay(gameState);
+    }
+
+    const savedDrafts = await loadReplayHistory();
+    if (replay) return;
+
+    if (savedDrafts.length > 0) {
+        await loadSavedDraftReplay(savedDrafts[0].id);
+    } else {
+        alert('There is no finished draft to replay yet.');
+    }
+}
+
+/**
+ * Fills the saved-draft list from /api/drafts; the list stays hidden when the
+ * server has no history (or the page is not served by it)
+ * @returns {Promise<Array>} - Draft summaries, newest first
+ */
+async function loadReplayHistory() {
+    const select = document.getElementById('replay-history-select');
+    let savedDrafts = [];
+
+    try {
+        const response = await fetch('/api/drafts?limit=25');
+        if (response.ok) {
+            savedDrafts = (await response.json()).drafts;
+        }
+    } catch (error) {
+        console.warn('Draft history is not available:', error);
+    }
+
+    select.innerHTML = '';
+    if (gameState.actions.length > 0) {
+        select.add(new Option('Current draft', ''));
+    }
+    savedDrafts.forEach(draft => {
+        const date = new Date(draft.completedAt).toLocaleString();
+        const players = `${draft.bluePlayerName || 'Blue'} vs ${draft.redPlayerName || 'Red'}`;
+        select.add(new Option(`${date} · ${draft.roomCode} · ${players}`, draft.id));
+    });
+    select.classList.toggle('hidden', savedDrafts.length === 0);
+
+    return savedDrafts;
+}
+
+/**
+ * Fetches a saved draft with its action log and replays it
+ * @param {string} id - Stored draft id
+ */
+async function loadSavedDraftReplay(id) {
+    try {
+        const response = await fetch(`/api/drafts/${encodeURIComponent(id)}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        startReplay(await response.json());
+        document.getElementById('replay-history-select').value = id;
+    } catch (error) {
+        console.error('Failed to load saved draft:', error);
+        alert('Could not load that draft.');
+    }
+}
+
+/**
+ * Puts the board in replay mode for a recorded draft, positioned before its first action
+ * @param {Object} record - Draft with draftOrder and an ordered actions log
+ *                          ({ team, action, champion, timestamp } entries)
+ */
+export function startReplay(record) {
+    const { frames, error } = buildReplayFrames(record);
+    if (frames.length < 2) {
+        alert(error ? `This draft cannot be replayed.\n${error}` : 'This draft has no actions to replay.');
+        return;
+    }
+    if (error) {
+        alert(`The replay stops early.\n${error}`);
+    }
+
+    stopReplayPlayback();
+    replay = { frames, actions: frames[frames.length - 1].actions, startedAt: record.startedAt, index: 0, timer: null };
+
+    document.body.classList.add('replay-mode');
+    document.getElementById('replay-bar').classList.remove('hidden');
+    document.getElementById('replay-scrubber').max = String(frames.length - 1);
+    showReplayFrame(0, true);
+}
+
+/**
+ * Leaves replay mode; the caller redraws the live board
+ */
+function closeReplay() {
+    if (!replay) return;
+
+    stopReplayPlayback();
+    replay = null;
+    document.body.classList.remove('replay-mode');
+    document.getElementById('replay-bar').classList.add('hidden');
+}
+
+/**
+ * Re-plays a recorded action log through the rules engine, keeping the state after each action
+ * @param {Object} record - Draft with draftOrder, actions and mirrorPicks (blind drafts)
+ * @returns {Object} - { frames, error }: frames[i] holds the board after i actions; error
+ *                     describes the action the replay stopped at, or is null
+ */
+function buildReplayFrames(record) {
+    const format = {
+        id: record.format?.id || record.format,
+        name: record.format?.name || record.formatName,
+        steps: record.draftOrder
+    };
+
+    // Replay stops at the first action that does not fit the recorded order
+    const initialState = startDraft(createDraftState(format, { mirrorPicks: record.mirrorPicks }));
+    const { frames, error } = applyRecordedActions(initialState, record.actions || []);
+    if (error) {
+        return { frames, error };
+    }
+
+    // The finished board shows the lanes the captains arranged and the trades made afterwards
+    const last = frames.length - 1;
+    frames[last] = { ...frames[last], blueLanes: record.blueLanes || null, redLanes: record.redLanes || null };
+    return { frames, error: null };
+}
+
+/**
+ * Applies a recorded action log to a draft, keeping the recorded timestamps
+ * @param {Object} state - Draft state in the drafting phase
+ * @param {Array} actions - { team, action, champion, timestamp } entries in order
+ * @returns {Object} - { frames, error }: frames[i] is the state after i actions; error
+ *                     describes the first action the rules rejected, or is null
+ */
+function applyRecordedActions(state, actions) {
+    const frames = [state];
+
+    for (const [index, action] of actions.entries()) {
+        const result = applyDraftAction(state, action.champion
+            ? { type: 'lock', team: action.team, champion: action.champion }
+            : { type: 'skip', team: action.team });
+
+        if (!result.ok) {
+            const label = `${action.team} ${action.action} ${action.champion || '(skipped)'}`;
+            return { frames, error: `Action ${index + 1} (${label}) was rejected: ${result.message}` };
+        }
+
+        const applied = result.state.actions[result.state.actions.length - 1];
+        state = {
+            ...result.state,
+            actions: [...state.actions, { ...applied, timestamp: action.timestamp || applied.timestamp }]
+        };
+        frames.push(state);
+    }
+
+    return { frames, error: null };
+}
+
+/**
+ * Draws the board as it stood after a number of actions
+ * @param {number} index - Number of actions applied
+ * @param {boolean} skipAnimations - Whether to skip the slot animations and sounds
+ */
+function showReplayFrame(index, skipAnimations = false) {
+    const frame = replay.frames[index];
+    const lastAction = replay.actions[index - 1];
+    replay.index = index;
+
+    updateBanDisplay('blue', frame.blueBans, skipAnimations);
+    updateBanDisplay('red', frame.redBans, skipAnimations);
+    updatePickDisplay('blue', frame.bluePicks, frame.blueLanes, skipAnimations);
+    updatePickDisplay('red', frame.redPicks, frame.redLanes, skipAnimations);
+
+    document.body.classList.remove('blue-turn', 'red-turn', 'my-turn', 'opponent-turn', 'draft-paused');
+    document.getElementById('draft-phase-indicator').textContent = getPhaseLabel(frame.draftOrder, frame.currentTurn);
+
+    let statusText = 'Replay - Draft start';
+    if (lastAction) {
+        const teamText = lastAction.team === 'blue' ? 'Blue Team' : 'Red Team';
+        statusText = lastAction.champion
+            ? `Replay - ${teamText} ${lastAction.action === 'ban' ? 'banned' : 'picked'} ${lastAction.champion}`
+            : `Replay - ${teamText} skipped a ${lastAction.action}`;
+    }
+    document.getElementById('draft-status').textContent = statusText;
+
+    const lastIndex = replay.frames.length - 1;
+    document.getElementById('replay-scrubber').value = String(index);
+    document.getElementById('replay-position').textContent = `${index} / ${lastIndex}`;
+    document.getElementById('replay-restart-btn').disabled = index === 0;
+    document.getElementById('replay-prev-btn').disabled = index === 0;
+    document.getElementById('replay-next-btn').disabled = index === lastIndex;
+    updateReplayPlayButton();
+
+    if (skipAnimations || !lastAction?.champion) return;
+
+    if (lastAction.action === 'ban') {
+        playBanSound(lastAction.team);
+    } else {
+        playPickSound(lastAction.team);
+    }
+
+    const nextStep = frame.draftOrder[frame.currentTurn];
+    if (nextStep && nextStep.action !== lastAction.action) {
+        setTimeout(() => playPhaseSound(), 500);
+    }
+}
+
+/**
+ * Moves the replay by one action; stepping forward plays the action's animation and sound
+ * @param {number} delta - 1 for the next action, -1 for the previous one
+ */
+function stepReplay(delta) {
+    const index = replay.index + delta;
+    if (index < 0 || index >= replay.frames.length) return;
+
+    stopReplayPlayback();
+    showReplayFrame(index, delta < 0);
+}
+
+/**
+ * Plays the remaining actions, spaced like the recorded draft but kept between
+ * half a second and three seconds apart
+ */
+function scheduleReplayStep() {
+    const next = replay.index + 1;
+    if (next >= replay.frames.length) {
+        stopReplayPlayback();
+        return;
+    }
+
+    const previousTime = replay.index > 0 ? replay.actions[replay.index - 1].timestamp : replay.startedAt;
+    const gap = replay.actions[next - 1].timestamp - previousTime;
+    const delay = Number.isFinite(gap)
+        ? Math.min(Math.max(gap, REPLAY_MIN_STEP_MS), REPLAY_MAX_STEP_MS)
+        : REPLAY_DEFAULT_STEP_MS;
+
+    replay.timer = setTimeout(() => {
+        showReplayFrame(next);
+        scheduleReplayStep();
+    }, delay);
+    updateReplayPlayButton();
+}
+
+function toggleReplayPlayback() {
+    if (replay.timer) {
+        stopReplayPlayback();
+        return;
+    }
+
+    // Playing from the end starts over
+    if (replay.index === replay.frames.length - 1) {
+        showReplayFrame(0, true);
+    }
+    scheduleReplayStep();
+}
+
+function stopReplayPlayback() {
+    if (!replay || !replay.timer) return;
+
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    updateReplayPlayButton();
+}
+
+function updateReplayPlayButton() {
+    const playBtn = document.getElementById('replay-play-btn');
+    const isPlaying = !!replay.timer;
+
+    playBtn.textContent = isPlaying ? '⏸️' : '▶️';
+    playBtn.title = isPlaying ? 'Pause' : 'Play';
+    playBtn.setAttribute('aria-label', playBtn.title);
+}
+
+/**
+ * Shows the Replay button once there is no draft in progress
+ */
+function updateReplayButton() {
+    const replayBtn = document.getElementById('draft-replay-btn');
+    replayBtn.classList.toggle('hidden', gameState.phase === 'drafting' || gameState.phase === 'paused');
+}
+
+function initializeReplayControls() {
+    if (replayControlsInitialized) return;
+
+    document.getElementById('draft-replay-btn').addEventListener('click', openReplay);
+    document.getElementById('replay-restart-btn').addEventListener('click', () => {
+        stopReplayPlayback();
+        showReplayFrame(0, true);
+    });
+    document.getElementById('replay-prev-btn').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replay-next-btn').addEventListener('click', () => stepReplay(1));
+    document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+        stopReplayPlayback();
+        showReplayFrame(parseInt(e.target.value, 10), true);
+    });
+    document.getElementById('replay-history-select').addEventListener('change', (e) => {
+        if (e.target.value) {
+            loadSavedDraftReplay(e.target.value);
+        } else {
+            startReplay(gameState);
+        }
+    });
+    document.getElementById('replay-close-btn').addEventListener('click', () => {
+        closeReplay();
+        updateDraftUI(null, true);
+    });
+
+    replayControlsInitialized = true;
+}
+
+// --- DRAFT EXPORT ---
+
+/**
+ * Describes the board for export: bans, and picks with their player and role
+ * @returns {Object} - { title, subtitle, teams: { blue, red } } for renderDraftImage
+ */
+function getDraftBoard() {
+    const roles = getAllRoles();
+    const lastAction = gameState.actions[gameState.actions.length - 1];
+    const date = new Date(lastAction ? lastAction.timestamp : Date.now());
+    const roomCode = draftMode === 'multiplayer' ? Multiplayer.getRoomCode() : null;
+
+    const describeTeam = (team, name) => {
+        const { playerNames, roleLabels } = getPickSlotLabels(team);
+        const picks = getLanePicks(gameState, team);
+
+        return {
+            name,
+            bans: Array.from({ length: 5 }, (_, i) => findChampion(gameState[`${team}Bans`][i]) || null),
+            picks: Array.from({ length: 5 }, (_, i) => ({
+                champion: findChampion(picks[i]) || null,
+                player: playerNames[i] || null,
+                role: roles.includes(roleLabels[i]) ? roleLabels[i] : null
+            }))
+        };
+    };
+
+    return {
+        title: gameState.formatName || 'Draft',
+        subtitle: [date.toLocaleDateString(), roomCode && `Room ${roomCode}`].filter(Boolean).join(' · '),
+        date,
+        teams: {
+            blue: describeTeam('blue', 'Blue Team'),
+            red: describeTeam('red', 'Red Team')
+        }
+    };
+}
+
+async function exportBoardImage() {
+    const board = getDraftBoard();
+    const button = document.getElementById('draft-export-image-btn');
+
+    button.disabled = true;
+    try {
+        await exportDraftImage(board, `draft-${board.date.toISOString().slice(0, 10)}.png`);
+    } catch (error) {
+        console.error('Failed to export draft image:', error);
+        alert('Could not export the draft image.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Collects the draft as a plain document: metadata, the board with roles, and the full action log
+ * @returns {Object} - Draft summary (see README "Draft Export")
+ */
+function getDraftSummary() {
+    const board = getDraftBoard();
+    const assignments = getTeamAssignments();
+    const lastAction = gameState.actions[gameState.actions.length - 1];
+    const rolesOf = roleMap => (roleMap instanceof Map ? Object.fromEntries(roleMap) : {});
+
+    const describeTeam = team => ({
+        bans: board.teams[team].bans.map(ban => (ban ? ban.name : null)),
+        picks: board.teams[team].picks.map(pick => ({
+            champion: pick.champion ? pick.champion.name : null,
+            player: pick.player,
+            role: pick.role
+        }))
+    });
+
+    return {
+        version: 1,
+        exportedAt: Date.now(),
+        mode: draftMode,
+        roomCode: draftMode === 'multiplayer' ? Multiplayer.getRoomCode() : null,
+        format: { id: gameState.format, name: gameState.formatName },
+        draftOrder: gameState.draftOrder,
+        startedAt: gameState.startedAt,
+        completedAt: gameState.phase === 'complete' && lastAction ? lastAction.timestamp : null,
+        teams: {
+            blue: describeTeam('blue'),
+            red: describeTeam('red')
+        },
+        roles: {
+            blue: rolesOf(assignments?.blueTeam),
+            red: rolesOf(assignments?.redTeam)
+        },
+        actions: gameState.actions.map(({ turn, team, action, champion, timestamp }) => ({ turn, team, action, champion, timestamp })),
+        trades: gameState.trades || [],
+        mirrorPicks: gameState.mirrorPicks,
+        fearless: {
+            enabled: gameState.fearlessEnabled,
+            variant: gameState.fearlessVariant,
+            game: gameState.fearlessGame
+        }
+    };
+}
+
+/**
+ * Renders the summary in the format picked next to the export buttons
+ * @returns {Object} - { text, filename, type }
+ */
+function getDraftSummaryFile() {
+    const summary = getDraftSummary();
+    const date = new Date(summary.completedAt || summary.exportedAt).toISOString().slice(0, 10);
+
+    if (document.getElementById('draft-export-format-select').value === 'json') {
+        return { text: JSON.stringify(summary, null, 2), filename: `draft-${date}.json`, type: 'application/json' };
+    }
+    return { text: formatDraftMarkdown(summary), filename: `draft-${date}.md`, type: 'text/markdown' };
+}
+
+async function copyDraftSummary() {
+    const button = document.getElementById('draft-export-copy-btn');
+    const label = button.querySelector('.btn-text');
+
+    try {
+        await navigator.clipboard.writeText(getDraftSummaryFile().text);
+        label.textContent = 'Copied!';
+        setTimeout(() => { label.textContent = 'Copy'; }, 1500);
+    } catch (error) {
+        console.error('Failed to copy draft summary:', error);
+        alert('Could not copy to the clipboard. Use Download instead.');
+    }
+}
+
+function downloadDraftSummary() {
+    const { text, filename, type } = getDraftSummaryFile();
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+/**
+ * Shows the export actions once the draft is complete
+ */
+function updateExportControls() {
+    const isComplete = gameState.phase === 'complete';
+    document.getElementById('draft-export-image-btn').classList.toggle('hidden', !isComplete);
+    document.getElementById('draft-export-controls').classList.toggle('hidden', !isComplete);
+}
+
+function initializeExportControls() {
+    if (exportControlsInitialized) return;
+
+    document.getElementById('draft-export-image-btn').addEventListener('click', exportBoardImage);
+    document.getElementById('draft-export-copy-btn').addEventListener('click', copyDraftSummary);
+    document.getElementById('draft-export-download-btn').addEventListener('click', downloadDraftSummary);
+    exportControlsInitialized = true;
+}
+
+// --- DRAFT IMPORT ---
+
+/**
+ * Rebuilds a solo draft from a JSON file: a server draftState (optionally wrapped as
+ * { draftState, blueTeamRoles, redTeamRoles }) or a summary exported from the draft screen.
+ * The action log is re-applied through the rules engine so the board, turn and Fearless set agree.
+ * @param {Object} data - Parsed file contents
+ * @returns {Object} - { state, format, teamAssignments }
+ * @throws {Error} - With a message for the user when the file cannot be loaded
+ */
+function parseDraftFile(data) {
+    const draft = data?.draftState || data;
+    if (!draft || !Array.isArray(draft.actions)) {
+        throw new Error('The file has no draft action log.');
+    }
+
+    const orderError = validateDraftOrder(draft.draftOrder);
+    if (orderError) {
+        throw new Error(`Invalid draft order: ${orderError}`);
+    }
+
+    const fearless = draft.fearless || {
+        enabled: draft.fearlessEnabled,
+        variant: draft.fearlessVariant,
+        game: draft.fearlessGame
+    };
+    const fearlessEntries = normalizeFearlessEntries(draft.fearlessUsedChampions || []);
+
+    // Every champion must exist in the champion list this client loaded
+    const fileChampions = new Set([
+        ...draft.actions.map(action => action.champion),
+        ...fearlessEntries.map(entry => entry.champion)
+    ].filter(Boolean));
+    const unknown = [...fileChampions].filter(name => !findChampion(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown champions in the file: ${unknown.join(', ')}`);
+    }
+
+    const formatId = draft.format?.id || draft.format;
+    const builtIn = getDraftFormat(formatId);
+    const format = builtIn && formatDraftOrder(builtIn.steps) === formatDraftOrder(draft.draftOrder)
+        ? builtIn
+        : createCustomFormat(draft.draftOrder).format;
+
+    // Entries this draft added are recreated when its actions are re-applied
+    const fearlessGame = fearless.game || 1;
+    const earlierEntries = fearlessEntries.filter(entry =>
+        !(entry.game === fearlessGame && fileChampions.has(entry.champion)));
+
+    const initialState = startDraft(createDraftState(format, {
+        fearlessEnabled: fearless.enabled,
+        fearlessUsedChampions: earlierEntries,
+        fearlessVariant: fearless.variant,
+        fearlessGame,
+        mirrorPicks: draft.mirrorPicks
+    }));
+    const { frames, error } = applyRecordedActions(initialState, draft.actions);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const state = frames[frames.length - 1];
+
+    // Restore the lanes the picks were sorted into; summaries list their picks in lane order
+    ['blue', 'red'].forEach(team => {
+        const lanePicks = data.teams?.[team]?.picks;
+        state[`${team}Lanes`] = Array.isArray(lanePicks)
+            ? lanePicks.map(pick => {
+                const index = state[`${team}Picks`].indexOf(pick?.champion);
+                return index === -1 ? null : index;
+            })
+            : draft[`${team}Lanes`] || null;
+    });
+    state.trades = Array.isArray(draft.trades) ? draft.trades : [];
+
+    if (draft.startedAt) {
+        state.startedAt = draft.startedAt;
+    }
+
+    const toRoleMap = roles => (roles && typeof roles === 'object' ? new Map(Object.entries(roles)) : null);
+    const blueRoles = toRoleMap(data.blueTeamRoles || data.roles?.blue);
+    const redRoles = toRoleMap(data.redTeamRoles || data.roles?.red);
+
+    return {
+        state,
+        format,
+        teamAssignments: blueRoles || redRoles ? { blueTeam: blueRoles, redTeam: redRoles } : null
+    };
+}
+
+/**
+ * Loads a draft file chosen by the user into the solo board
+ * @param {File} file - JSON file
+ */
+async function importDraftFile(file) {
+    let imported;
+    try {
+        imported = parseDraftFile(JSON.parse(await file.text()));
+    } catch (error) {
+        console.error('Failed to import draft:', error);
+        alert(`Could not import ${file.name}.\n${error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message}`);
+        return;
+    }
+
+    if (gameState.actions.length > 0 && !confirm('Importing replaces the current draft. Continue?')) {
+        return;
+    }
+
+    const { state, format, teamAssignments } = imported;
+
+    closeReplay();
+    draftFormat = format;
+    document.getElementById('draft-format-select').value = format.id;
+
+    // A Fearless draft brings its session along; otherwise the local session is kept
+    fearlessDraftEnabled = state.fearlessEnabled;
+    if (fearlessDraftEnabled) {
+        fearlessVariant = state.fearlessVariant;
+        fearlessHistory = [...state.fearlessUsedChampions];
+        fearlessGamesPlayed = state.fearlessGame - 1 + (state.phase === 'complete' ? 1 : 0);
+        localStorage.setItem('fearlessVariant', JSON.stringify(fearlessVariant));
+        localStorage.setItem('fearlessUsedChampions', JSON.stringify(fearlessHistory));
+        localStorage.setItem('fearlessGamesPlayed', String(fearlessGamesPlayed));
+    }
+    renderFearlessToggle();
+    renderFearlessVariantControls();
+
+    if (teamAssignments) {
+        setTeamAssignments(teamAssignments);
+    }
+
+    redoStack = [];
+    gameState = { ...state, hover: null };
+    updateDraftUI(null, true);
+    console.log(`Imported draft from ${file.name}: ${state.actions.length} actions`);
+}
+
+/**
+ * Shows the Import button in solo mode, where the board is local
+ */
+function updateImportControls() {
+    document.getElementById('draft-import-btn').classList.toggle('hidden', draftMode !== 'solo');
+}
+
+function initializeImportControls() {
+    if (importControlsInitialized) return;
+
+    const fileInput = document.getElementById('draft-import-input');
+    document.getElementById('draft-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) {
+            importDraftFile(file);
+        }
+    });
+
+    importControlsInitialized = true;
+}
+
+// --- CHAMPION POOLS ---
+
+/**
+ * Finds the player who makes the current pick: the server's turn owner in multiplayer,
+ * otherwise the team's players in role order, as on the server
+ * @returns {string|null} - Player name, or null for bans and picks without an assigned player
+ */
+function getCurrentPickOwner() {
+    if (isBlindPicking()) {
+        const players = getPickSlotLabels(myTeam).playerNames.filter(Boolean);
+        return players[getBlindPickSlot()] || null;
+    }
+
+    const step = getCurrentStep(gameState);
+    if (!step || step.action !== 'pick') return null;
+    if (draftMode === 'multiplayer') return gameState.turnOwner || null;
+
+    const teamAssignments = getTeamAssignments();
+    const teamRoleMap = step.team === 'blue' ? teamAssignments?.blueTeam : teamAssignments?.redTeam;
+    if (!(teamRoleMap instanceof Map)) return null;
+
+    const players = getAllRoles()
+        .map(role => [...teamRoleMap.entries()].find(([, playerRole]) => playerRole === role)?.[0])
+        .filter(Boolean);
+    return players[gameState[`${step.team}Picks`].length] || null;
+}
+
+/**
+ * @returns {Array|null} - Champion pool of the current pick's owner, or null if they declared none
+ */
+function getTurnChampionPool() {
+    const owner = getCurrentPickOwner();
+    return (owner && championPools[owner]) || null;
+}
+
+/**
+ * Applies the champion pools and restriction sent by the server
+ * @param {Object} pools - Player name to champion names
+ * @param {boolean} restricted - Whether picks must come from the pick owner's pool
+ */
+export function updateChampionPools(pools, restricted) {
+    championPools = pools || {};
+    poolRestricted = !!restricted;
+    updateDraftUI(null, true);
+}
+
+function updatePoolRestrictionToggle() {
+    const container = document.getElementById('pool-restricted-container');
+    container.classList.toggle('hidden', draftMode !== 'multiplayer');
+    document.getElementById('pool-restricted-checkbox').checked = poolRestricted;
+}
+
+function initializePoolRestrictionToggle() {
+    updatePoolRestrictionToggle();
+    if (poolRestrictionInitialized) return;
+
+    document.getElementById('pool-restricted-checkbox').addEventListener('change', (e) => {
+        Multiplayer.setPoolRestricted(e.target.checked);
+    });
+
+    poolRestrictionInitialized = true;
+}
+
+// --- SUGGESTIONS ---
+
+/**
+ * @param {string} team - 'blue' or 'red'
+ * @returns {Object} - Player name to champion pool for the team's players who declared one
+ */
+function getTeamChampionPools(team) {
+    const teamAssignments = getTeamAssignments();
+    const teamRoleMap = team === 'blue' ? teamAssignments?.blueTeam : teamAssignments?.redTeam;
+    if (!(teamRoleMap instanceof Map)) return {};
+
+    return Object.fromEntries([...teamRoleMap.keys()]
+        .filter(player => championPools[player]?.length)
+        .map(player => [player, championPools[player]]));
+}
+
+/**
+ * Lists the best champions for the current ban or pick with the reasons behind each.
+ * Only shown to whoever can act on the turn.
+ */
+function updateSuggestionsPanel() {
+    const panel = document.getElementById('suggestions-panel');
+    const list = document.getElementById('suggestions-list');
+    const team = isBlindPicking() ? myTeam : gameState.currentTeam;
+    const canAct = isBlindPicking()
+        ? getBlindPickSlot() !== -1
+        : draftMode !== 'multiplayer' || (team === myTeam && !getTurnOwnerMessage());
+
+    if (!suggestionData || gameState.phase !== 'drafting' || !canAct || gameState.randomDraft) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    // Blind picks the team has locked count as its picks
+    const draftForSuggestions = isBlindPicking()
+        ? { ...gameState, [`${team}Picks`]: gameState.blindPicks[team].filter(Boolean) }
+        : gameState;
+
+    // Fearless locks and host-disabled champions are part of the unavailable set
+    const unavailable = getUnavailableChampions(draftForSuggestions);
+    const turnPool = gameState.currentAction === 'pick' && poolRestricted ? getTurnChampionPool() : null;
+    const candidates = champions
+        .map(champ => champ.name)
+        .filter(name => !unavailable.has(name) && (!turnPool || isInChampionPool(turnPool, name)));
+
+    const suggestions = getSuggestions(draftForSuggestions, {
+        team,
+        candidates,
+        data: suggestionData,
+        tagsOf: name => findChampion(name)?.tags || [],
+        patch: championPatch,
+        allyPools: getTeamChampionPools(team),
+        enemyPools: getTeamChampionPools(team === 'blue' ? 'red' : 'blue'),
+        owner: getCurrentPickOwner()
+    });
+
+    list.innerHTML = '';
+    if (suggestions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'suggestions-empty';
+        empty.textContent = 'No suggestions for this turn';
+        list.appendChild(empty);
+        return;
+    }
+
+    suggestions.forEach(({ champion, reasons }) => {
+        const item = document.createElement('li');
+        item.className = 'suggestion-item';
+        item.title = `Select ${champion}`;
+
+        const img = document.createElement('img');
+        img.src = findChampion(champion)?.image || '';
+        img.alt = '';
+
+        const name = document.createElement('span');
+        name.className = 'suggestion-name';
+        name.textContent = champion;
+
+        const why = document.createElement('span');
+        why.className = 'suggestion-reasons';
+        why.textContent = reasons.join(', ');
+
+        item.append(img, name, why);
+        item.addEventListener('click', () => handleChampionClick(champion));
+        list.appendChild(item);
+    });
+}
+
+// --- COMPOSITION ANALYSIS ---
+
+/**
+ * Shows each team's composition report once the draft is complete
+ */
+function updateCompositionPanel() {
+    const panel = document.getElementById('composition-panel');
+    panel.classList.toggle('hidden', gameState.phase !== 'complete');
+    if (gameState.phase !== 'complete') return;
+
+    ['blue', 'red'].forEach(team => {
+        const picks = gameState[`${team}Picks`].filter(Boolean)
+            .map(name => findChampion(name) || { name, tags: [] });
+        renderCompositionReport(document.getElementById(`${team}-composition`), team, analyzeComposition(picks));
+    });
+}
+
+function renderCompositionReport(container, team, analysis) {
+    container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'composition-team-title';
+    title.textContent = team === 'blue' ? 'Blue Team' : 'Red Team';
+
+    const damageBar = document.createElement('div');
+    damageBar.className = 'composition-damage-bar';
+    damageBar.title = 'Physical vs magic damage';
+    ['physical', 'magic'].forEach(type => {
+        const segment = document.createElement('span');
+        segment.className = `composition-damage-${type}`;
+        segment.style.width = `${analysis.damage[type]}%`;
+        damageBar.appendChild(segment);
+    });
+
+    const damageLabel = document.createElement('div');
+    damageLabel.className = 'composition-damage-label';
+    damageLabel.textContent = `${analysis.damage.physical}% physical · ${analysis.damage.magic}% magic`;
+
+    const stats = document.createElement('ul');
+    stats.className = 'composition-stats';
+    const { early, mid, late, label } = analysis.curve;
+    [
+        ['Frontline', analysis.frontline],
+        ['Engage', analysis.engage],
+        ['Peel', analysis.peel],
+        ['Power curve', `${label} (early ${early} · mid ${mid} · late ${late})`]
+    ].forEach(([name, value]) => {
+        const stat = document.createElement('li');
+        const valueElement = document.createElement('strong');
+        valueElement.textContent = value;
+        stat.append(`${name} `, valueElement);
+        stats.appendChild(stat);
+    });
+
+    const missing = document.createElement('ul');
+    missing.className = 'composition-missing';
+    analysis.missing.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        missing.appendChild(item);
+    });
+    if (analysis.missing.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'composition-complete';
+        item.textContent = 'Nothing missing';
+        missing.appendChild(item);
+    }
+
+    container.append(title, damageBar, damageLabel, stats, missing);
+}
+
+// --- BLIND PICK ---
+
+/**
+ * Whether both teams are locking hidden picks right now. Only multiplayer rooms hide
+ * picks; a solo Blind Pick draft simply alternates the picks.
+ */
+function isBlindPicking() {
+    return draftMode === 'multiplayer' && gameState.phase === 'drafting' && !!gameState.blindPicks;
+}
+
+/**
+ * Finds the slot this player's next blind pick fills, as the server does: their own
+ * role's slot, or any open slot for the captain
+ * @returns {number} - Slot index, or -1 if the player has nothing left to pick
+ */
+function getBlindPickSlot() {
+    const picks = gameState.blindPicks?.[myTeam];
+    if (!picks) return -1;
+
+    const ownSlot = getPickSlotLabels(myTeam).playerNames.filter(Boolean).indexOf(Multiplayer.getPlayerName());
+    if (ownSlot !== -1 && !picks[ownSlot]) return ownSlot;
+    return Multiplayer.getIsCaptain() ? picks.indexOf(null) : -1;
+}
+
+/**
+ * @returns {string|null} - Why this player cannot lock a blind pick, or null if they can
+ */
+function getBlindPickMessage() {
+    if (getBlindPickSlot() !== -1) return null;
+    if (Multiplayer.getIsCaptain() || !gameState.blindPicks[myTeam].includes(null)) {
+        return 'Your team has locked all of its picks.';
+    }
+    return getPickSlotLabels(myTeam).playerNames.includes(Multiplayer.getPlayerName())
+        ? 'You have already locked your pick.'
+        : 'Your captain makes this pick.';
+}
+
+/**
+ * Marks the hidden picks of a blind draft on the board: this team's own champions, and
+ * a lock for every pick the other team has made
+ */
+function updateBlindPickSlots() {
+    if (!gameState.blindPicks) return;
+
+    ['blue', 'red'].forEach(team => {
+        const slots = document.getElementById(`${team}-team-picks`).children;
+        gameState.blindPicks[team].forEach((entry, i) => {
+            const portrait = entry && slots[i] ? slots[i].querySelector('.empty-portrait') : null;
+            if (!portrait) return;
+
+            slots[i].classList.add('blind-locked');
+            const champ = entry !== BLIND_LOCKED ? findChampion(entry) : null;
+            if (champ) {
+                const img = document.createElement('img');
+                img.src = champ.image;
+                img.alt = champ.name;
+                img.title = `${champ.name} (hidden from the other team until the reveal)`;
+                img.className = 'pick-portrait blind-own-pick';
+                portrait.appendChild(img);
+            } else {
+                portrait.textContent = '🔒';
+                portrait.title = 'Locked';
+            }
+        });
+    });
+}
+
+/**
+ * Turns every pick on the board over at once when a blind draft is revealed
+ */
+export function showBlindReveal() {
+    document.querySelectorAll('.pick-slot-league.filled').forEach(slot => slot.classList.add('blind-reveal'));
+    playPhaseSound();
+}
+
+/**
+ * Applies the room's rule for champions both teams pick blind
+ * @param {string} rule - 'repick' or 'mirror'
+ */
+export function updateBlindConflictRule(rule) {
+    blindConflictRule = rule || DEFAULT_BLIND_CONFLICT_RULE;
+    updateBlindRuleSelect();
+}
+
+function updateBlindRuleSelect() {
+    const container = document.getElementById('blind-rule-container');
+    container.classList.toggle('hidden', draftMode !== 'multiplayer' || !draftFormat.blind);
+    document.getElementById('blind-rule-select').value = blindConflictRule;
+}
+
+function initializeBlindRuleSelect() {
+    updateBlindRuleSelect();
+    if (blindRuleSelectInitialized) return;
+
+    document.getElementById('blind-rule-select').addEventListener('change', (e) => {
+        Multiplayer.setBlindConflictRule(e.target.value);
+    });
+
+    blindRuleSelectInitialized = true;
+}
+
+// --- RANDOM DRAFT ---
+
+/**
+ * Whether this client decides on a lane of a random draft: every lane in solo mode;
+ * in multiplayer the lane's player, or the captain for a lane whose player is not seated
+ */
+function canControlRandomSlot(team, slot) {
+    if (draftMode !== 'multiplayer') return true;
+    if (team !== myTeam) return false;
+
+    const controller = gameState.randomControllers?.[team][slot];
+    return !controller || controller === Multiplayer.getPlayerName();
+}
+
+/**
+ * Finds the lane Reroll, the bench and Lock In act on: the one last clicked, else the
+ * first lane this client decides on that has not locked in
+ * @returns {Object|null} - { team, slot }, or null if this client has nothing left to decide
+ */
+function getRandomActiveSlot() {
+    const { randomDraft } = gameState;
+    if (!randomDraft) return null;
+
+    const isOpen = ({ team, slot }) => canControlRandomSlot(team, slot) && !randomDraft.locked[team][slot];
+    if (randomActiveSlot && isOpen(randomActiveSlot)) {
+        return randomActiveSlot;
+    }
+
+    const teams = draftMode !== 'multiplayer' ? ['blue', 'red'] : ['blue', 'red'].filter(team => team === myTeam);
+    for (const team of teams) {
+        const slot = LANES.findIndex((lane, i) => isOpen({ team, slot: i }));
+        if (slot !== -1) return { team, slot };
+    }
+    return null;
+}
+
+/**
+ * Shows each lane's rolled champion on the board with its rerolls left, marking the
+ * locked lanes and the one this client is deciding on
+ */
+function updateRandomPickSlots() {
+    const { randomDraft } = gameState;
+    if (!randomDraft) return;
+
+    const active = getRandomActiveSlot();
+    ['blue', 'red'].forEach(team => {
+        const slots = document.getElementById(`${team}-team-picks`).children;
+        randomDraft.picks[team].forEach((champion, i) => {
+            const slot = slots[i];
+            const portrait = slot ? slot.querySelector('.empty-portrait') : null;
+            if (!portrait) return;
+
+            const champ = champion ? findChampion(champion) : null;
+            if (champ) {
+                const img = document.createElement('img');
+                img.src = champ.image;
+                img.alt = champ.name;
+                img.title = champ.name;
+                img.className = 'pick-portrait random-roll';
+                portrait.appendChild(img);
+                slot.classList.add('random-rolled');
+            }
+
+            const rerolls = document.createElement('div');
+            rerolls.className = 'random-rerolls';
+            rerolls.textContent = randomDraft.locked[team][i] ? '🔒 Locked' : `🎲 ${randomDraft.rerolls[team][i]}`;
+            slot.appendChild(rerolls);
+
+            slot.classList.toggle('random-locked', randomDraft.locked[team][i]);
+            slot.classList.toggle('random-active', !!active && active.team === team && active.slot === i);
+
+            if (canControlRandomSlot(team, i) && !randomDraft.locked[team][i]) {
+                slot.classList.add('random-controllable');
+                slot.addEventListener('click', () => {
+                    randomActiveSlot = { team, slot: i };
+                    updateDraftUI();
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Shows the Reroll button for the active lane and both teams' benches while a random
+ * draft is rolling. Bench champions can be taken into the active lane of their team.
+ */
+function updateRandomPanel() {
+    const panel = document.getElementById('random-panel');
+    const { randomDraft } = gameState;
+    panel.classList.toggle('hidden', !randomDraft);
+    if (!randomDraft) return;
+
+    const active = gameState.phase === 'drafting' ? getRandomActiveSlot() : null;
+    const rerollBtn = document.getElementById('random-reroll-btn');
+    const title = document.getElementById('random-active-lane');
+
+    if (active) {
+        const champion = randomDraft.picks[active.team][active.slot];
+        const rerolls = randomDraft.rerolls[active.team][active.slot];
+        const teamLabel = draftMode === 'multiplayer' ? '' : `${active.team === 'blue' ? 'Blue' : 'Red'} `;
+        title.textContent = `🎲 ${teamLabel}${LANES[active.slot]}: ${champion || 'No champion'}`;
+        rerollBtn.textContent = `Reroll (${rerolls} left)`;
+        rerollBtn.disabled = rerolls <= 0;
+    } else {
+        title.textContent = '🎲 Random Draft';
+        rerollBtn.textContent = 'Reroll';
+        rerollBtn.disabled = true;
+    }
+    rerollBtn.classList.toggle('hidden', draftMode === 'multiplayer' && myTeam === 'spectator');
+
+    ['blue', 'red'].forEach(team => {
+        const bench = document.getElementById(`${team}-random-bench`);
+        bench.innerHTML = '';
+
+        if (randomDraft.bench[team].length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'random-bench-empty';
+            empty.textContent = 'Empty';
+            bench.appendChild(empty);
+            return;
+        }
+
+        randomDraft.bench[team].forEach(champion => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'random-bench-champion';
+            button.disabled = !active || active.team !== team;
+            button.title = button.disabled ? champion : `Take ${champion} into ${LANES[active.slot]}`;
+
+            const img = document.createElement('img');
+            img.src = findChampion(champion)?.image || '';
+            img.alt = '';
+
+            button.append(img, champion);
+            button.addEventListener('click', () => takeBenchChampion(champion));
+            bench.appendChild(button);
+        });
+    });
+}
+
+/**
+ * Applies a solo random draft change from the rules engine
+ */
+function applySoloRandomResult(result) {
+    if (!result.ok) {
+        alert(result.message);
+        return;
+    }
 
-                if (isBanned && !card.classList.contains('banned')) {
-                    card.classList.add('banned');
-                    if (skipAnimations) {
-                        card.style.animation = 'none';
-                        // Also disable pseudo-element animations
-                        card.style.setProperty('--skip-ban-animation', '1');
-                    }
-                } else if (isPicked && !card.classList.contains('picked')) {
-                    card.classList.add('picked');
-                    if (skipAnimations) {
-                        card.style.animation = 'none';
-                        // Also disable pseudo-element animations
-                        card.style.setProperty('--skip-pick-animation', '1');
-                    }
-                }
+    gameState = { ...result.state, hover: null };
+    if (gameState.phase === 'complete') {
+        saveSoloFearlessSession();
+        playPhaseSound();
+    }
+    updateDraftUI();
+}
+
+function rerollActiveChampion() {
+    const active = getRandomActiveSlot();
+    if (!active) return;
+
+    if (draftMode === 'multiplayer') {
+        Multiplayer.rerollChampion(active.slot);
+        return;
+    }
+    applySoloRandomResult(rerollRandomPick(gameState, active.team, active.slot, champions.map(champ => champ.name)));
+}
+
+function takeBenchChampion(champion) {
+    const active = getRandomActiveSlot();
+    if (!active) return;
+
+    if (draftMode === 'multiplayer') {
+        Multiplayer.swapBenchChampion(active.slot, champion);
+        return;
+    }
+    applySoloRandomResult(swapWithBench(gameState, active.team, active.slot, champion));
+}
+
+function lockActiveRandomPick() {
+    const active = getRandomActiveSlot();
+    if (!active) return;
+
+    playLockInSound();
+    randomActiveSlot = null;
+    if (draftMode === 'multiplayer') {
+        Multiplayer.lockRandomPick(active.slot);
+        return;
+    }
+    applySoloRandomResult(lockRandomPick(gameState, active.team, active.slot));
+}
+
+function initializeRandomControls() {
+    if (randomControlsInitialized) return;
+
+    document.getElementById('random-reroll-btn').addEventListener('click', rerollActiveChampion);
+    randomControlsInitialized = true;
+}
+
+// --- DISABLED CHAMPIONS ---
+
+const DISABLED_CHAMPIONS_FILENAME = 'disabled-champions.json';
+
+/**
+ * Shows the room's disabled champions; the host can remove them and add more
+ */
+function updateDisabledChampionsPanel() {
+    const container = document.getElementById('disabled-champions-container');
+    container.classList.toggle('hidden', draftMode !== 'multiplayer');
+    if (draftMode !== 'multiplayer') return;
+
+    const isHost = Multiplayer.getIsHost();
+    const disabled = gameState.disabledChampions || [];
+    const list = document.getElementById('disabled-champions-list');
+    list.innerHTML = '';
+
+    disabled.forEach(champion => {
+        const item = document.createElement('li');
+        item.textContent = champion;
+
+        if (isHost) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'disabled-champion-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = `Enable ${champion} again`;
+            removeBtn.addEventListener('click', () => {
+                Multiplayer.setDisabledChampions(disabled.filter(name => name !== champion));
+            });
+            item.appendChild(removeBtn);
+        }
+
+        list.appendChild(item);
+    });
+
+    if (disabled.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'disabled-champions-empty';
+        empty.textContent = 'None';
+        list.appendChild(empty);
+    }
+
+    document.getElementById('disabled-champions-editor').classList.toggle('hidden', !isHost);
+    document.getElementById('disabled-champions-export-btn').disabled = disabled.length === 0;
+}
+
+/**
+ * Fills the champion suggestions of the disable input with the current roster
+ */
+function renderDisabledChampionOptions() {
+    const options = document.getElementById('disabled-champion-options');
+    options.innerHTML = '';
+
+    champions.forEach(champ => {
+        const option = document.createElement('option');
+        option.value = champ.name;
+        options.appendChild(option);
+    });
+}
+
+function addDisabledChampion() {
+    const input = document.getElementById('disabled-champion-input');
+    const name = input.value.trim().toLowerCase();
+    const champ = champions.find(c => c.name.toLowerCase() === name || c.id.toLowerCase() === name);
+
+    if (!champ) {
+        alert(`"${input.value.trim()}" is not a champion on this patch.`);
+        return;
+    }
+
+    input.value = '';
+    Multiplayer.setDisabledChampions([...(gameState.disabledChampions || []), champ.name]);
+}
+
+function exportDisabledChampions() {
+    const text = JSON.stringify({ disabledChampions: gameState.disabledChampions || [] }, null, 2);
+    downloadBlob(new Blob([text], { type: 'application/json' }), DISABLED_CHAMPIONS_FILENAME);
+}
+
+/**
+ * Loads a disabled list exported from another room and sends it to the server.
+ * Names this patch does not have are left out.
+ */
+async function importDisabledChampions(file) {
+    let list;
+    try {
+        const data = JSON.parse(await file.text());
+        list = normalizeDisabledChampions(Array.isArray(data) ? data : data?.disabledChampions);
+        if (!list) {
+            throw new Error('Expected a list of champion names under "disabledChampions".');
+        }
+    } catch (error) {
+        console.error('Failed to import disabled champions:', error);
+        alert(`Could not import ${file.name}.\n${error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message}`);
+        return;
+    }
+
+    const known = list.map(name => findChampion(name)?.name).filter(Boolean);
+    const unknown = list.filter(name => !findChampion(name));
+    if (unknown.length > 0) {
+        alert(`Skipping champions that are not on this patch: ${unknown.join(', ')}`);
+    }
+
+    const current = gameState.disabledChampions || [];
+    if (current.length > 0 && !confirm('Importing replaces the current disabled list. Continue?')) {
+        return;
+    }
+
+    Multiplayer.setDisabledChampions(known);
+}
+
+function initializeDisabledChampionControls() {
+    renderDisabledChampionOptions();
+    updateDisabledChampionsPanel();
+
+    if (disabledChampionControlsInitialized) return;
+
+    const input = document.getElementById('disabled-champion-input');
+    const fileInput = document.getElementById('disabled-champions-import-input');
+
+    document.getElementById('disabled-champion-add-btn').addEventListener('click', addDisabledChampion);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            addDisabledChampion();
+        }
+    });
+    document.getElementById('disabled-champions-export-btn').addEventListener('click', exportDisabledChampions);
+    document.getElementById('disabled-champions-import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) {
+            importDisabledChampions(file);
+        }
+    });
+
+    disabledChampionControlsInitialized = true;
+}
+
+// --- TRADE PHASE ---
+
+/**
+ * Fills a trade select with the team's picks, keeping the current choice when it still exists
+ */
+function renderTradeSlotOptions(select, team, fallbackSlot) {
+    const picks = getLanePicks(gameState, team);
+    const { playerNames, roleLabels } = getPickSlotLabels(team);
+    const previous = select.value;
+
+    select.innerHTML = '';
+    picks.forEach((champion, slot) => {
+        if (!champion) return;
+        const option = document.createElement('option');
+        option.value = slot;
+        option.textContent = [roleLabels[slot], playerNames[slot], `— ${champion}`].filter(Boolean).join(' ');
+        select.appendChild(option);
+    });
+
+    if ([...select.options].some(option => option.value === previous)) {
+        select.value = previous;
+    } else if (select.options[fallbackSlot]) {
+        select.selectedIndex = fallbackSlot;
+    }
+}
+
+/**
+ * Lists the open swap proposals, with Accept/Decline for the ones waiting on this player
+ */
+function renderTradeProposals(proposals) {
+    const list = document.getElementById('trade-proposals');
+    const myName = Multiplayer.getPlayerName();
+    list.innerHTML = '';
+
+    proposals
+        .filter(proposal => myTeam === 'spectator' || proposal.team === myTeam)
+        .forEach(proposal => {
+            const picks = getLanePicks(gameState, proposal.team);
+            const [first, second] = proposal.slots;
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${proposal.proposedBy} offers ${picks[first]} ⇄ ${picks[second]} to ${proposal.awaiting}`;
+            item.appendChild(text);
+
+            if (proposal.awaiting === myName && proposal.team === myTeam) {
+                const actions = document.createElement('span');
+                const acceptBtn = document.createElement('button');
+                acceptBtn.type = 'button';
+                acceptBtn.className = 'btn btn-primary';
+                acceptBtn.textContent = 'Accept';
+                acceptBtn.addEventListener('click', () => Multiplayer.respondTrade(proposal.id, true));
+
+                const declineBtn = document.createElement('button');
+                declineBtn.type = 'button';
+                declineBtn.className = 'btn btn-secondary';
+                declineBtn.textContent = 'Decline';
+                declineBtn.addEventListener('click', () => Multiplayer.respondTrade(proposal.id, false));
+
+                actions.append(acceptBtn, ' ', declineBtn);
+                item.appendChild(actions);
             }
-        } else {
-            card.classList.remove('disabled', 'banned', 'picked');
-            card.style.animation = '';
-            card.style.removeProperty('--skip-ban-animation');
-            card.style.removeProperty('--skip-pick-animation');
+
+            list.appendChild(item);
+        });
+}
+
+/**
+ * Shows the trade panel while the server keeps the post-draft trade phase open
+ */
+function updateTradePanel() {
+    const panel = document.getElementById('trade-panel');
+    const trade = draftMode === 'multiplayer' && gameState.phase === 'complete' ? gameState.trade : null;
+
+    if (tradeCountdownInterval) {
+        clearInterval(tradeCountdownInterval);
+        tradeCountdownInterval = null;
+    }
+
+    panel.classList.toggle('hidden', !trade);
+    if (!trade) return;
+
+    const isSeated = myTeam === 'blue' || myTeam === 'red';
+    document.getElementById('trade-propose').classList.toggle('hidden', !isSeated);
+    if (isSeated) {
+        renderTradeSlotOptions(document.getElementById('trade-slot-a'), myTeam, 0);
+        renderTradeSlotOptions(document.getElementById('trade-slot-b'), myTeam, 1);
+    }
+    renderTradeProposals(trade.proposals);
+
+    const countdownElement = document.getElementById('trade-countdown');
+    const renderCountdown = () => {
+        const remainingMs = Math.max(0, trade.deadline - (Date.now() + serverClockOffset));
+        countdownElement.textContent = `${Math.ceil(remainingMs / 1000)}s left`;
+
+        if (remainingMs === 0 && tradeCountdownInterval) {
+            clearInterval(tradeCountdownInterval);
+            tradeCountdownInterval = null;
+        }
+    };
+
+    renderCountdown();
+    tradeCountdownInterval = setInterval(renderCountdown, 250);
+}
+
+function initializeTradeControls() {
+    if (tradeControlsInitialized) return;
+
+    document.getElementById('trade-propose-btn').addEventListener('click', () => {
+        const first = parseInt(document.getElementById('trade-slot-a').value, 10);
+        const second = parseInt(document.getElementById('trade-slot-b').value, 10);
+
+        if (Number.isNaN(first) || Number.isNaN(second) || first === second) {
+            alert('Pick two different champions to swap.');
+            return;
         }
+        Multiplayer.proposeTrade([first, second]);
     });
+
+    tradeControlsInitialized = true;
 }
 
 export function getGameState() {
@@ -634,24 +2613,50 @@ export async function initializeDraft(mode = 'solo', team = null) {
     // Preload sound effects
     preloadSounds();
 
-    gameState = {
-        phase: 'idle',
-        currentTeam: 'blue',
-        currentAction: 'ban',
-        blueBans: [],
-        redBans: [],
-        bluePicks: [],
-        redPicks: []
-    };
+    closeReplay();
+    resetGameState();
+
+    // Multiplayer rooms send the host's pools; solo drafts use the lobby setup directly
+    if (mode === 'solo') {
+        championPools = getChampionPools();
+        poolRestricted = false;
+    }
 
-    if (champions.length === 0) {
-        champions = await fetchChampionList();
+    // A solo draft goes back to the default list after a room pinned to another patch
+    if (champions.length === 0 || (mode === 'solo' && championPatch)) {
+        const championList = await fetchChampionList();
+        // The room's roster may have arrived while the default list was loading
+        if (mode === 'solo' || !championPatch) {
+            champions = championList;
+            championPatch = null;
+        }
         filteredChampions = [...champions];
     }
 
     renderChampionGrid(filteredChampions);
     initializeChampionSearch();
+    if (!suggestionData) {
+        loadSuggestionData().then(data => {
+            suggestionData = data;
+            updateSuggestionsPanel();
+        });
+    }
     initializeFearlessDraft();
+    initializeFearlessVariantControls();
+    initializeTurnTimerSelect();
+    initializeDraftFormatSelect();
+    initializeLockInButton();
+    initializeUndoControls();
+    initializePauseButton();
+    initializeSeriesControls();
+    initializeReplayControls();
+    initializeExportControls();
+    initializeImportControls();
+    initializeTradeControls();
+    initializeDisabledChampionControls();
+    initializePoolRestrictionToggle();
+    initializeBlindRuleSelect();
+    initializeRandomControls();
     initializeRoleFilter();
 
     // Setup multiplayer callbacks if in multiplayer mode
@@ -674,6 +2679,11 @@ export async function initializeDraft(mode = 'solo', team = null) {
             }
         });
 
+        Multiplayer.onChampionHover((hover) => {
+            gameState.hover = hover;
+            updateHoverPreview();
+        });
+
         // Setup role assignments update callback
         Multiplayer.onRoleAssignmentsUpdate((data) => {
             console.log('====== ROLE ASSIGNMENTS UPDATE RECEIVED ======');
@@ -700,6 +2710,11 @@ export async function initializeDraft(mode = 'solo', team = null) {
                 redTeam: redTeamRoles
             });
 
+            // Pick ownership follows the role assignments
+            if (data.turnOwner !== undefined) {
+                gameState.turnOwner = data.turnOwner;
+            }
+
             console.log('Team assignments set in state');
 
             // Update the UI to reflect the new role assignments
@@ -724,10 +2739,91 @@ export async function initializeDraft(mode = 'solo', team = null) {
         }, { once: true });
     } else {
         // Solo mode: start draft immediately
-        gameState.phase = 'drafting';
-        advanceDraft();
-        updateDraftUI();
+        startSoloDraft();
+    }
+}
+
+/**
+ * Resets the board to an empty draft using the current draft format
+ */
+function resetGameState() {
+    redoStack = [];
+    gameState = createDraftState(draftFormat, {
+        fearlessEnabled: fearlessDraftEnabled,
+        fearlessUsedChampions: fearlessHistory,
+        fearlessVariant: fearlessVariant,
+        fearlessGame: fearlessGamesPlayed + 1
+    });
+}
+
+/**
+ * Starts a fresh solo draft
+ */
+function startSoloDraft() {
+    resetGameState();
+    gameState = startDraft(gameState);
+    if (gameState.random) {
+        gameState = rollRandomDraft(gameState, champions.map(champ => champ.name)).state;
     }
+    updateDraftUI();
+}
+
+function initializeLockInButton() {
+    if (lockInButtonInitialized) return;
+
+    document.getElementById('lock-in-btn').addEventListener('click', lockInSelection);
+    lockInButtonInitialized = true;
+}
+
+function initializeSeriesControls() {
+    // Series are kept by the server, so they only exist in multiplayer
+    document.getElementById('series-container').classList.toggle('hidden', draftMode !== 'multiplayer');
+    series = draftMode === 'multiplayer' ? Multiplayer.getSeries() : null;
+
+    if (seriesControlsInitialized) return;
+
+    document.getElementById('series-length-select').addEventListener('change', (e) => {
+        const bestOf = parseInt(e.target.value, 10);
+        if (series && series.games.length > 0 && !confirm('Starting a new series clears the score and the Fearless session. Continue?')) {
+            e.target.value = String(series.bestOf);
+            return;
+        }
+        Multiplayer.setSeriesLength(bestOf);
+    });
+
+    document.getElementById('series-blue-won-btn').addEventListener('click', () => Multiplayer.recordGameResult('blue'));
+    document.getElementById('series-red-won-btn').addEventListener('click', () => Multiplayer.recordGameResult('red'));
+    document.getElementById('series-blue-side-btn').addEventListener('click', () => Multiplayer.chooseSide('blue'));
+    document.getElementById('series-red-side-btn').addEventListener('click', () => Multiplayer.chooseSide('red'));
+
+    // Listen for series changes from multiplayer module
+    document.addEventListener('seriesChanged', (e) => {
+        series = e.detail.series;
+        updateSeriesDisplay();
+    });
+
+    seriesControlsInitialized = true;
+}
+
+function initializePauseButton() {
+    if (pauseButtonInitialized) return;
+
+    document.getElementById('draft-pause-btn').addEventListener('click', () => {
+        if (gameState.phase === 'paused') {
+            Multiplayer.resumeDraft();
+        } else {
+            Multiplayer.pauseDraft();
+        }
+    });
+    pauseButtonInitialized = true;
+}
+
+function initializeUndoControls() {
+    if (undoControlsInitialized) return;
+
+    document.getElementById('draft-undo-btn').addEventListener('click', undoDraftAction);
+    document.getElementById('draft-redo-btn').addEventListener('click', redoDraftAction);
+    undoControlsInitialized = true;
 }
 
 function initializeFearlessDraft() {
@@ -735,19 +2831,20 @@ function initializeFearlessDraft() {
     const fearlessResetBtn = document.getElementById('reset-fearless-session-btn');
     const fearlessLabel = document.getElementById('fearless-draft-label-text');
 
-    fearlessToggle.checked = fearlessDraftEnabled;
-    fearlessLabel.classList.toggle('active', fearlessDraftEnabled);
-    fearlessResetBtn.classList.toggle('hidden', !fearlessDraftEnabled);
+    renderFearlessToggle();
 
     fearlessToggle.addEventListener('change', (e) => {
         fearlessDraftEnabled = e.target.checked;
         fearlessLabel.classList.toggle('active', fearlessDraftEnabled);
         fearlessResetBtn.classList.toggle('hidden', !fearlessDraftEnabled);
+        document.getElementById('fearless-variant-container').classList.toggle('hidden', !fearlessDraftEnabled);
 
         // In multiplayer, sync with server
         if (draftMode === 'multiplayer') {
-            Multiplayer.toggleFearlessDraft(fearlessDraftEnabled);
+            Multiplayer.toggleFearlessDraft(fearlessDraftEnabled, fearlessVariant);
         } else {
+            gameState.fearlessEnabled = fearlessDraftEnabled;
+            gameState.fearlessUsedChampions = fearlessDraftEnabled ? [...fearlessHistory] : [];
             updateChampionGridAvailability();
         }
     });
@@ -757,8 +2854,12 @@ function initializeFearlessDraft() {
             if (draftMode === 'multiplayer') {
                 Multiplayer.resetFearlessSession();
             } else {
-                fearlessUsedChampions.clear();
+                fearlessHistory = [];
+                fearlessGamesPlayed = 0;
                 localStorage.removeItem('fearlessUsedChampions');
+                localStorage.removeItem('fearlessGamesPlayed');
+                gameState.fearlessUsedChampions = [];
+                gameState.fearlessGame = 1;
                 updateChampionGridAvailability();
             }
         }
@@ -767,8 +2868,63 @@ function initializeFearlessDraft() {
     // Listen for fearless state changes from multiplayer module
     document.addEventListener('fearlessStateChanged', (e) => {
         fearlessDraftEnabled = e.detail.enabled;
+        if (e.detail.variant) {
+            fearlessVariant = e.detail.variant;
+            renderFearlessVariantControls();
+        }
+        updateChampionGridAvailability();
+    });
+}
+
+/**
+ * Reflects whether Fearless is on in its toggle, reset button and variant controls
+ */
+function renderFearlessToggle() {
+    document.getElementById('fearless-draft-checkbox').checked = fearlessDraftEnabled;
+    document.getElementById('fearless-draft-label-text').classList.toggle('active', fearlessDraftEnabled);
+    document.getElementById('reset-fearless-session-btn').classList.toggle('hidden', !fearlessDraftEnabled);
+    document.getElementById('fearless-variant-container').classList.toggle('hidden', !fearlessDraftEnabled);
+}
+
+/**
+ * Reflects the active Fearless variant in its controls
+ */
+function renderFearlessVariantControls() {
+    document.getElementById('fearless-scope-select').value = fearlessVariant.scope;
+    document.getElementById('fearless-bans-checkbox').checked = fearlessVariant.includeBans;
+    document.getElementById('fearless-window-select').value = String(fearlessVariant.gameWindow);
+}
+
+function initializeFearlessVariantControls() {
+    document.getElementById('fearless-variant-container').classList.toggle('hidden', !fearlessDraftEnabled);
+    renderFearlessVariantControls();
+
+    if (fearlessVariantControlsInitialized) return;
+
+    const handleVariantChange = () => {
+        const variant = normalizeFearlessVariant({
+            scope: document.getElementById('fearless-scope-select').value,
+            includeBans: document.getElementById('fearless-bans-checkbox').checked,
+            gameWindow: parseInt(document.getElementById('fearless-window-select').value, 10)
+        });
+
+        if (draftMode === 'multiplayer') {
+            // The server echoes the variant back through fearlessStateChanged
+            Multiplayer.toggleFearlessDraft(fearlessDraftEnabled, variant);
+            return;
+        }
+
+        fearlessVariant = variant;
+        localStorage.setItem('fearlessVariant', JSON.stringify(fearlessVariant));
+        gameState.fearlessVariant = fearlessVariant;
         updateChampionGridAvailability();
+    };
+
+    ['fearless-scope-select', 'fearless-bans-checkbox', 'fearless-window-select'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleVariantChange);
     });
+
+    fearlessVariantControlsInitialized = true;
 }
 
 export function updateFearlessDraftToggle() {
@@ -784,7 +2940,123 @@ export function updateFearlessDraftToggle() {
             fearlessToggle.disabled = true;
             fearlessResetBtn.disabled = true;
         }
+
+        ['fearless-scope-select', 'fearless-bans-checkbox', 'fearless-window-select'].forEach(id => {
+            document.getElementById(id).disabled = !isHost;
+        });
+    }
+}
+
+function initializeTurnTimerSelect() {
+    const timerContainer = document.getElementById('turn-timer-container');
+    const timerSelect = document.getElementById('turn-timer-select');
+
+    // The turn timer is owned by the server, so it only exists in multiplayer
+    timerContainer.classList.toggle('hidden', draftMode !== 'multiplayer');
+
+    if (turnTimerSelectInitialized) return;
+
+    timerSelect.addEventListener('change', (e) => {
+        Multiplayer.setTurnTimer(parseInt(e.target.value, 10));
+    });
+
+    turnTimerSelectInitialized = true;
+}
+
+/**
+ * Fills a select element with the available draft formats
+ * @param {HTMLSelectElement} select - Select element to populate
+ */
+export function populateDraftFormatOptions(select) {
+    select.innerHTML = '';
+
+    [...listDraftFormats(), { id: 'custom', name: 'Custom...', description: 'Enter your own step list' }].forEach(format => {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = format.name;
+        option.title = format.description;
+        select.appendChild(option);
+    });
+
+    select.value = DEFAULT_FORMAT_ID;
+}
+
+/**
+ * Asks the user for a custom step list
+ * @param {Array} initialSteps - Steps to prefill the prompt with
+ * @returns {Array|null} - Valid steps, or null if cancelled or invalid
+ */
+export function promptForCustomDraftOrder(initialSteps = draftFormat.steps) {
+    const input = prompt('Enter the draft order as steps like "B-ban R-ban B-pick R-pick" (B = Blue, R = Red):', formatDraftOrder(initialSteps));
+    if (input === null) return null;
+
+    const steps = parseDraftOrder(input);
+    const error = steps ? validateDraftOrder(steps) : 'Each step must be B-ban, R-ban, B-pick or R-pick';
+    if (error) {
+        alert(error);
+        return null;
     }
+    return steps;
+}
+
+function initializeDraftFormatSelect() {
+    const formatSelect = document.getElementById('draft-format-select');
+
+    if (draftFormatSelectInitialized) return;
+
+    formatSelect.addEventListener('change', (e) => {
+        const formatId = e.target.value;
+        let steps = null;
+
+        if (formatId === 'custom') {
+            steps = promptForCustomDraftOrder();
+            if (!steps) {
+                formatSelect.value = draftFormat.id;
+                return;
+            }
+        }
+
+        // In multiplayer, the server validates and broadcasts the new format
+        if (draftMode === 'multiplayer') {
+            Multiplayer.setDraftFormat(formatId, steps);
+            return;
+        }
+
+        if (gameState.phase === 'drafting' && gameState.actions.length > 0 &&
+            !confirm('Changing the draft format restarts the current draft. Continue?')) {
+            formatSelect.value = draftFormat.id;
+            return;
+        }
+
+        draftFormat = formatId === 'custom'
+            ? { id: 'custom', name: 'Custom', steps }
+            : getDraftFormat(formatId);
+        startSoloDraft();
+    });
+
+    // Listen for format changes from multiplayer module
+    document.addEventListener('draftFormatChanged', (e) => {
+        draftFormat = e.detail.draftFormat;
+        if (gameState.phase === 'idle') {
+            gameState.draftOrder = draftFormat.steps;
+        }
+        updateBlindRuleSelect();
+    });
+
+    draftFormatSelectInitialized = true;
+}
+
+/**
+ * Enables host-only draft settings for the host and locks them for everyone else
+ */
+export function updateHostControls() {
+    const isHost = Multiplayer.getIsHost();
+    document.getElementById('turn-timer-select').disabled = !isHost;
+    document.getElementById('draft-format-select').disabled = !isHost;
+    document.getElementById('series-length-select').disabled = !isHost;
+    document.getElementById('pool-restricted-checkbox').disabled = !isHost;
+    document.getElementById('blind-rule-select').disabled = !isHost;
+    updateDisabledChampionsPanel();
 }
 
 let roleFilterInitialized = false;
@@ -0,0 +1,252 @@
+// --- DRAFT EXPORT MODULE ---
+// Turns a finished draft into shareable files: a PNG of the board, Markdown and JSON
+
+const IMAGE_WIDTH = 1200;
+const IMAGE_HEIGHT = 760;
+const COLUMN_WIDTH = 540;
+const MARGIN = 40;
+
+const COLORS = {
+    background: '#010a13',
+    panel: '#0a1428',
+    slot: '#1a273a',
+    border: '#2c3a4a',
+    text: '#e6e6e6',
+    textSecondary: '#a09480',
+    gold: '#FFD700',
+    blue: '#0acbe6',
+    red: '#e6453d'
+};
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+const ROLE_ICON_PATHS = {
+    TOP: 'images/roles/120px-Top_icon.png',
+    JGL: 'images/roles/120px-Jungle_icon.png',
+    MID: 'images/roles/120px-Middle_icon.png',
+    ADC: 'images/roles/120px-Bottom_icon.png',
+    SUP: 'images/roles/120px-Support_icon.png'
+};
+
+/**
+ * Loads an image that can be drawn onto a canvas without tainting it
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement|null>} - The image, or null if it failed to load
+ */
+function loadImage(src) {
+    return new Promise(resolve => {
+        if (!src) {
+            resolve(null);
+            return;
+        }
+
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => {
+            console.error(`Failed to load image for export: ${src}`);
+            resolve(null);
+        };
+        img.src = src;
+    });
+}
+
+/**
+ * Draws an image into a square, or an empty slot when there is none
+ */
+function drawPortrait(ctx, img, x, y, size) {
+    ctx.fillStyle = COLORS.slot;
+    ctx.fillRect(x, y, size, size);
+
+    if (img) {
+        ctx.drawImage(img, x, y, size, size);
+    }
+
+    ctx.strokeStyle = COLORS.border;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, size, size);
+}
+
+/**
+ * Draws one team's column: name, bans, then picks with player names and role icons
+ */
+function drawTeam(ctx, team, teamColor, x, images) {
+    let y = 110;
+
+    ctx.fillStyle = teamColor;
+    ctx.fillRect(x, y, COLUMN_WIDTH, 4);
+    ctx.font = `bold 28px ${FONT_FAMILY}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(team.name, x, y + 40);
+
+    // Bans
+    y += 60;
+    ctx.fillStyle = COLORS.textSecondary;
+    ctx.font = `14px ${FONT_FAMILY}`;
+    ctx.fillText('BANS', x, y + 14);
+
+    const banSize = 56;
+    team.bans.forEach((ban, i) => {
+        const banX = x + i * (banSize + 12);
+        const banY = y + 24;
+        const img = ban ? images.get(ban.image) : null;
+        drawPortrait(ctx, img, banX, banY, banSize);
+
+        if (ban) {
+            // Dim the portrait and cross it out like the ban slots on the board
+            ctx.fillStyle = 'rgba(1, 10, 19, 0.45)';
+            ctx.fillRect(banX, banY, banSize, banSize);
+            ctx.strokeStyle = COLORS.red;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(banX + 8, banY + 8);
+            ctx.lineTo(banX + banSize - 8, banY + banSize - 8);
+            ctx.moveTo(banX + banSize - 8, banY + 8);
+            ctx.lineTo(banX + 8, banY + banSize - 8);
+            ctx.stroke();
+        }
+    });
+
+    // Picks
+    y += 100;
+    ctx.fillStyle = COLORS.textSecondary;
+    ctx.font = `14px ${FONT_FAMILY}`;
+    ctx.fillText('PICKS', x, y + 14);
+
+    const pickSize = 72;
+    team.picks.forEach((pick, i) => {
+        const rowY = y + 24 + i * (pickSize + 14);
+
+        ctx.fillStyle = COLORS.panel;
+        ctx.fillRect(x, rowY, COLUMN_WIDTH, pickSize);
+        ctx.fillStyle = teamColor;
+        ctx.fillRect(x, rowY, 4, pickSize);
+
+        const img = pick.champion ? images.get(pick.champion.image) : null;
+        drawPortrait(ctx, img, x + 12, rowY, pickSize);
+
+        const textX = x + pickSize + 28;
+        ctx.fillStyle = COLORS.text;
+        ctx.font = `bold 22px ${FONT_FAMILY}`;
+        ctx.fillText(pick.champion ? pick.champion.name : '—', textX, rowY + 32);
+
+        if (pick.player) {
+            ctx.fillStyle = COLORS.textSecondary;
+            ctx.font = `16px ${FONT_FAMILY}`;
+            ctx.fillText(pick.player, textX, rowY + 56);
+        }
+
+        const roleIcon = images.get(ROLE_ICON_PATHS[pick.role]);
+        if (roleIcon) {
+            ctx.drawImage(roleIcon, x + COLUMN_WIDTH - 52, rowY + (pickSize - 36) / 2, 36, 36);
+        } else if (pick.role) {
+            ctx.fillStyle = COLORS.textSecondary;
+            ctx.font = `bold 16px ${FONT_FAMILY}`;
+            ctx.textAlign = 'right';
+            ctx.fillText(pick.role, x + COLUMN_WIDTH - 16, rowY + pickSize / 2 + 6);
+            ctx.textAlign = 'left';
+        }
+    });
+}
+
+/**
+ * Draws the draft board onto a canvas
+ * @param {Object} board - { title, subtitle, teams: { blue, red } } where each team is
+ *                         { name, bans: [{ name, image } | null], picks: [{ champion, player, role }] }
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderDraftImage(board) {
+    const sources = new Set();
+    ['blue', 'red'].forEach(side => {
+        const team = board.teams[side];
+        team.bans.forEach(ban => ban && sources.add(ban.image));
+        team.picks.forEach(pick => {
+            if (pick.champion) sources.add(pick.champion.image);
+            if (ROLE_ICON_PATHS[pick.role]) sources.add(ROLE_ICON_PATHS[pick.role]);
+        });
+    });
+
+    const images = new Map();
+    await Promise.all([...sources].map(async src => images.set(src, await loadImage(src))));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = IMAGE_WIDTH;
+    canvas.height = IMAGE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, IMAGE_WIDTH, IMAGE_HEIGHT);
+
+    ctx.fillStyle = COLORS.gold;
+    ctx.font = `bold 32px ${FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(board.title, IMAGE_WIDTH / 2, 52);
+    ctx.fillStyle = COLORS.textSecondary;
+    ctx.font = `18px ${FONT_FAMILY}`;
+    ctx.fillText(board.subtitle, IMAGE_WIDTH / 2, 82);
+
+    drawTeam(ctx, board.teams.blue, COLORS.blue, MARGIN, images);
+    drawTeam(ctx, board.teams.red, COLORS.red, IMAGE_WIDTH - MARGIN - COLUMN_WIDTH, images);
+
+    return canvas;
+}
+
+/**
+ * Writes a draft summary as Markdown that also reads well when pasted into Discord
+ * @param {Object} summary - Draft summary from the draft screen (see README "Draft Export")
+ * @returns {string}
+ */
+export function formatDraftMarkdown(summary) {
+    const date = new Date(summary.completedAt || summary.exportedAt).toLocaleDateString();
+    const header = [summary.format.name, date, summary.roomCode && `Room ${summary.roomCode}`]
+        .filter(Boolean)
+        .join(' · ');
+    const lines = [`**Draft — ${header}**`];
+
+    ['blue', 'red'].forEach(side => {
+        const team = summary.teams[side];
+        const label = side === 'blue' ? 'Blue' : 'Red';
+        const picks = team.picks.map(pick => {
+            const who = [pick.role, pick.player].filter(Boolean).join(' ');
+            return `${who ? `${who} — ` : ''}${pick.champion || '(none)'}`;
+        });
+
+        lines.push('');
+        lines.push(`${label} bans: ${team.bans.map(ban => ban || '(none)').join(', ') || '(none)'}`);
+        lines.push(`${label}: ${picks.join(' / ')}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Saves a Blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Draws the draft board and downloads it as a PNG
+ * @param {Object} board - See renderDraftImage
+ * @param {string} filename - Suggested file name
+ */
+export async function exportDraftImage(board, filename) {
+    const canvas = await renderDraftImage(board);
+
+    // toBlob throws if a portrait was served without CORS headers and tainted the canvas
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+        throw new Error('Could not create the PNG');
+    }
+    downloadBlob(blob, filename);
+}
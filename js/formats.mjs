@@ -0,0 +1,200 @@
+// --- DRAFT FORMATS ---
+// Shared by the browser and the Node server, so this module must stay free of DOM and Node APIs
+
+export const PICKS_PER_TEAM = 5;
+export const MAX_BANS_PER_TEAM = 5;
+export const DEFAULT_FORMAT_ID = 'tournament';
+
+const ban = team => ({ team, action: 'ban' });
+const pick = team => ({ team, action: 'pick' });
+
+// Standard pick order: B1 R1 R2 B2 B3 R3 R4 B4 B5 R5
+const SNAKE_PICKS = [
+    pick('blue'), pick('red'), pick('red'), pick('blue'), pick('blue'),
+    pick('red'), pick('red'), pick('blue'), pick('blue'), pick('red')
+];
+
+// One pick per team in turn, for formats whose picks are all applied at once
+const ALTERNATING_PICKS = Array.from({ length: PICKS_PER_TEAM }, () => [pick('blue'), pick('red')]).flat();
+
+export const DRAFT_FORMATS = {
+    tournament: {
+        id: 'tournament',
+        name: 'Pro Tournament',
+        description: '10 bans split over two ban phases (modern LoL pro play)',
+        steps: [
+            // Ban Phase 1 (6 bans total)
+            ban('blue'), ban('red'), ban('blue'), ban('red'), ban('blue'), ban('red'),
+            // Pick Phase 1 (6 picks total)
+            pick('blue'), pick('red'), pick('red'), pick('blue'), pick('blue'), pick('red'),
+            // Ban Phase 2 (4 bans total)
+            ban('red'), ban('blue'), ban('red'), ban('blue'),
+            // Pick Phase 2 (4 picks total)
+            pick('red'), pick('blue'), pick('blue'), pick('red')
+        ]
+    },
+    clash: {
+        id: 'clash',
+        name: 'Clash',
+        description: '3 bans per team up front, then snake picks',
+        steps: [
+            ban('blue'), ban('red'), ban('blue'), ban('red'), ban('blue'), ban('red'),
+            ...SNAKE_PICKS
+        ]
+    },
+    three_ban: {
+        id: 'three_ban',
+        name: '3-Ban Tournament',
+        description: 'Pro pick order with only the first ban phase',
+        steps: [
+            ban('blue'), ban('red'), ban('blue'), ban('red'), ban('blue'), ban('red'),
+            pick('blue'), pick('red'), pick('red'), pick('blue'), pick('blue'), pick('red'),
+            pick('red'), pick('blue'), pick('blue'), pick('red')
+        ]
+    },
+    no_ban: {
+        id: 'no_ban',
+        name: 'No Bans',
+        description: 'Snake picks without any bans',
+        steps: [...SNAKE_PICKS]
+    },
+    blind: {
+        id: 'blind',
+        name: 'Blind Pick',
+        description: 'Both teams pick at the same time without seeing each other; all picks are revealed together',
+        blind: true,
+        // Hidden picks are applied in this order at the reveal
+        steps: [...ALTERNATING_PICKS]
+    },
+    random: {
+        id: 'random',
+        name: 'Random (ARAM)',
+        description: 'Every lane gets a random champion; players reroll and swap with their team\'s bench',
+        random: true,
+        // Rolled champions are applied in this order once every lane has locked in
+        steps: [...ALTERNATING_PICKS]
+    }
+};
+
+/**
+ * Returns the built-in format with the given id
+ * @param {string} formatId - Format id
+ * @returns {Object|null} - Format object or null if unknown
+ */
+export function getDraftFormat(formatId) {
+    return DRAFT_FORMATS[formatId] || null;
+}
+
+/**
+ * Lists the built-in formats in display order
+ * @returns {Array} - Array of format objects
+ */
+export function listDraftFormats() {
+    return Object.values(DRAFT_FORMATS);
+}
+
+/**
+ * Checks that a step list describes a draft the board can display
+ * @param {Array} steps - Array of { team, action } steps
+ * @returns {string|null} - Error message, or null if the steps are valid
+ */
+export function validateDraftOrder(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return 'Draft order must contain at least one step';
+    }
+
+    const counts = { blueBans: 0, redBans: 0, bluePicks: 0, redPicks: 0 };
+
+    for (const step of steps) {
+        if (!step || !['blue', 'red'].includes(step.team) || !['ban', 'pick'].includes(step.action)) {
+            return 'Each step needs a team (blue/red) and an action (ban/pick)';
+        }
+        counts[`${step.team}${step.action === 'ban' ? 'Bans' : 'Picks'}`]++;
+    }
+
+    if (counts.bluePicks !== PICKS_PER_TEAM || counts.redPicks !== PICKS_PER_TEAM) {
+        return `Each team must make exactly ${PICKS_PER_TEAM} picks`;
+    }
+
+    if (counts.blueBans > MAX_BANS_PER_TEAM || counts.redBans > MAX_BANS_PER_TEAM) {
+        return `Each team can make at most ${MAX_BANS_PER_TEAM} bans`;
+    }
+
+    return null;
+}
+
+/**
+ * Builds a custom format from a host-provided step list
+ * @param {Array} steps - Array of { team, action } steps
+ * @returns {Object} - { format } on success or { error } if the steps are invalid
+ */
+export function createCustomFormat(steps) {
+    const error = validateDraftOrder(steps);
+    if (error) {
+        return { error };
+    }
+
+    return {
+        format: {
+            id: 'custom',
+            name: 'Custom',
+            description: 'Host-defined step list',
+            steps: steps.map(step => ({ team: step.team, action: step.action }))
+        }
+    };
+}
+
+/**
+ * Parses a step list written as "B-ban R-ban B-pick ..." (separated by spaces or commas)
+ * @param {string} text - Step list text
+ * @returns {Array|null} - Array of { team, action } steps, or null if a token is invalid
+ */
+export function parseDraftOrder(text) {
+    const tokens = text.split(/[\s,]+/).filter(Boolean);
+    const steps = [];
+
+    for (const token of tokens) {
+        const match = token.match(/^([BR])-?(ban|pick)$/i);
+        if (!match) {
+            return null;
+        }
+        steps.push({
+            team: match[1].toUpperCase() === 'B' ? 'blue' : 'red',
+            action: match[2].toLowerCase()
+        });
+    }
+
+    return steps;
+}
+
+/**
+ * Formats a step list in the notation accepted by parseDraftOrder
+ * @param {Array} steps - Array of { team, action } steps
+ * @returns {string} - Step list text
+ */
+export function formatDraftOrder(steps) {
+    return steps.map(step => `${step.team === 'blue' ? 'B' : 'R'}-${step.action}`).join(' ');
+}
+
+/**
+ * Derives the phase label ("BAN PHASE 1", "PICK PHASE 2", ...) for a turn.
+ * Each run of consecutive bans or picks counts as one phase.
+ * @param {Array} steps - Array of { team, action } steps
+ * @param {number} turn - Index of the current step
+ * @returns {string} - Phase label
+ */
+export function getPhaseLabel(steps, turn) {
+    if (turn >= steps.length) {
+        return 'COMPLETE';
+    }
+
+    const phaseCounts = { ban: 0, pick: 0 };
+    for (let i = 0; i <= turn; i++) {
+        if (i === 0 || steps[i].action !== steps[i - 1].action) {
+            phaseCounts[steps[i].action]++;
+        }
+    }
+
+    const action = steps[turn].action;
+    return `${action.toUpperCase()} PHASE ${phaseCounts[action]}`;
+}
@@ -0,0 +1,270 @@
+// --- LANE INFERENCE ---
+// Shared by the browser and the Node server, so this module must stay free of DOM and Node APIs
+
+export const LANES = ['TOP', 'JGL', 'MID', 'ADC', 'SUP'];
+
+// Positions each champion is usually played in, most common first (keyed by display name)
+export const CHAMPION_POSITIONS = {
+    'Aatrox': ['TOP'],
+    'Ahri': ['MID'],
+    'Akali': ['MID', 'TOP'],
+    'Akshan': ['MID', 'TOP'],
+    'Alistar': ['SUP'],
+    'Ambessa': ['TOP', 'MID'],
+    'Amumu': ['JGL', 'SUP'],
+    'Anivia': ['MID'],
+    'Annie': ['MID', 'SUP'],
+    'Aphelios': ['ADC'],
+    'Ashe': ['ADC', 'SUP'],
+    'Aurelion Sol': ['MID'],
+    'Aurora': ['MID', 'TOP'],
+    'Azir': ['MID'],
+    'Bard': ['SUP'],
+    'Bel\'Veth': ['JGL'],
+    'Blitzcrank': ['SUP'],
+    'Brand': ['SUP', 'MID', 'JGL'],
+    'Braum': ['SUP'],
+    'Briar': ['JGL'],
+    'Caitlyn': ['ADC'],
+    'Camille': ['TOP', 'JGL'],
+    'Cassiopeia': ['MID', 'TOP'],
+    'Cho\'Gath': ['TOP', 'MID'],
+    'Corki': ['MID', 'ADC'],
+    'Darius': ['TOP'],
+    'Diana': ['JGL', 'MID'],
+    'Dr. Mundo': ['TOP', 'JGL'],
+    'Draven': ['ADC'],
+    'Ekko': ['JGL', 'MID'],
+    'Elise': ['JGL'],
+    'Evelynn': ['JGL'],
+    'Ezreal': ['ADC'],
+    'Fiddlesticks': ['JGL'],
+    'Fiora': ['TOP'],
+    'Fizz': ['MID'],
+    'Galio': ['MID', 'SUP'],
+    'Gangplank': ['TOP'],
+    'Garen': ['TOP'],
+    'Gnar': ['TOP'],
+    'Gragas': ['JGL', 'TOP', 'SUP'],
+    'Graves': ['JGL'],
+    'Gwen': ['TOP', 'JGL'],
+    'Hecarim': ['JGL'],
+    'Heimerdinger': ['MID', 'TOP', 'SUP'],
+    'Hwei': ['MID', 'SUP'],
+    'Illaoi': ['TOP'],
+    'Irelia': ['TOP', 'MID'],
+    'Ivern': ['JGL'],
+    'Janna': ['SUP'],
+    'Jarvan IV': ['JGL'],
+    'Jax': ['TOP', 'JGL'],
+    'Jayce': ['TOP', 'MID'],
+    'Jhin': ['ADC'],
+    'Jinx': ['ADC'],
+    'K\'Sante': ['TOP'],
+    'Kai\'Sa': ['ADC'],
+    'Kalista': ['ADC'],
+    'Karma': ['SUP', 'MID'],
+    'Karthus': ['JGL', 'MID'],
+    'Kassadin': ['MID'],
+    'Katarina': ['MID'],
+    'Kayle': ['TOP', 'MID'],
+    'Kayn': ['JGL'],
+    'Kennen': ['TOP'],
+    'Kha\'Zix': ['JGL'],
+    'Kindred': ['JGL'],
+    'Kled': ['TOP'],
+    'Kog\'Maw': ['ADC'],
+    'LeBlanc': ['MID'],
+    'Lee Sin': ['JGL'],
+    'Leona': ['SUP'],
+    'Lillia': ['JGL'],
+    'Lissandra': ['MID'],
+    'Lucian': ['ADC', 'MID'],
+    'Lulu': ['SUP'],
+    'Lux': ['SUP', 'MID'],
+    'Malphite': ['TOP', 'SUP'],
+    'Malzahar': ['MID'],
+    'Maokai': ['SUP', 'JGL', 'TOP'],
+    'Master Yi': ['JGL'],
+    'Mel': ['MID', 'SUP'],
+    'Milio': ['SUP'],
+    'Miss Fortune': ['ADC'],
+    'Mordekaiser': ['TOP'],
+    'Morgana': ['SUP', 'JGL'],
+    'Naafiri': ['MID'],
+    'Nami': ['SUP'],
+    'Nasus': ['TOP'],
+    'Nautilus': ['SUP'],
+    'Neeko': ['MID', 'SUP'],
+    'Nidalee': ['JGL'],
+    'Nilah': ['ADC'],
+    'Nocturne': ['JGL'],
+    'Nunu & Willump': ['JGL'],
+    'Olaf': ['TOP', 'JGL'],
+    'Orianna': ['MID'],
+    'Ornn': ['TOP'],
+    'Pantheon': ['SUP', 'TOP', 'MID'],
+    'Poppy': ['TOP', 'JGL', 'SUP'],
+    'Pyke': ['SUP'],
+    'Qiyana': ['MID', 'JGL'],
+    'Quinn': ['TOP'],
+    'Rakan': ['SUP'],
+    'Rammus': ['JGL'],
+    'Rek\'Sai': ['JGL'],
+    'Rell': ['SUP'],
+    'Renata Glasc': ['SUP'],
+    'Renekton': ['TOP'],
+    'Rengar': ['JGL', 'TOP'],
+    'Riven': ['TOP'],
+    'Rumble': ['TOP', 'MID'],
+    'Ryze': ['MID', 'TOP'],
+    'Samira': ['ADC'],
+    'Sejuani': ['JGL'],
+    'Senna': ['SUP', 'ADC'],
+    'Seraphine': ['SUP', 'MID', 'ADC'],
+    'Sett': ['TOP', 'SUP'],
+    'Shaco': ['JGL', 'SUP'],
+    'Shen': ['TOP', 'SUP'],
+    'Shyvana': ['JGL'],
+    'Singed': ['TOP'],
+    'Sion': ['TOP'],
+    'Sivir': ['ADC'],
+    'Skarner': ['JGL', 'TOP'],
+    'Smolder': ['ADC', 'MID'],
+    'Sona': ['SUP'],
+    'Soraka': ['SUP'],
+    'Swain': ['SUP', 'MID', 'ADC'],
+    'Sylas': ['MID', 'JGL'],
+    'Syndra': ['MID'],
+    'Tahm Kench': ['SUP', 'TOP'],
+    'Taliyah': ['JGL', 'MID'],
+    'Talon': ['MID', 'JGL'],
+    'Taric': ['SUP'],
+    'Teemo': ['TOP'],
+    'Thresh': ['SUP'],
+    'Tristana': ['ADC', 'MID'],
+    'Trundle': ['JGL', 'TOP'],
+    'Tryndamere': ['TOP'],
+    'Twisted Fate': ['MID'],
+    'Twitch': ['ADC', 'JGL'],
+    'Udyr': ['JGL', 'TOP'],
+    'Urgot': ['TOP'],
+    'Varus': ['ADC', 'MID'],
+    'Vayne': ['ADC', 'TOP'],
+    'Veigar': ['MID', 'SUP'],
+    'Vel\'Koz': ['SUP', 'MID'],
+    'Vex': ['MID'],
+    'Vi': ['JGL'],
+    'Viego': ['JGL'],
+    'Viktor': ['MID'],
+    'Vladimir': ['MID', 'TOP'],
+    'Volibear': ['TOP', 'JGL'],
+    'Warwick': ['JGL', 'TOP'],
+    'Wukong': ['JGL', 'TOP'],
+    'Xayah': ['ADC'],
+    'Xerath': ['SUP', 'MID'],
+    'Xin Zhao': ['JGL'],
+    'Yasuo': ['MID', 'TOP', 'ADC'],
+    'Yone': ['MID', 'TOP'],
+    'Yorick': ['TOP'],
+    'Yunara': ['ADC'],
+    'Yuumi': ['SUP'],
+    'Zac': ['JGL'],
+    'Zed': ['MID'],
+    'Zeri': ['ADC'],
+    'Ziggs': ['ADC', 'MID'],
+    'Zilean': ['SUP', 'MID'],
+    'Zoe': ['MID'],
+    'Zyra': ['SUP', 'JGL']
+};
+
+/**
+ * Scores how well a champion fits a lane: higher for its more common positions, 0 if it is not played there
+ */
+function getLaneScore(champion, lane) {
+    const positions = CHAMPION_POSITIONS[champion] || [];
+    const rank = positions.indexOf(LANES[lane]);
+    return rank === -1 ? 0 : LANES.length - rank;
+}
+
+/**
+ * Lists every way to place a number of picks into the given lanes, in lane order
+ */
+function getPlacements(lanes, count) {
+    if (count === 0) return [[]];
+
+    return lanes.flatMap(lane => getPlacements(lanes.filter(other => other !== lane), count - 1)
+        .map(rest => [lane, ...rest]));
+}
+
+/**
+ * Compares two placements by total score, then by the score of each pick in pick order
+ */
+function compareScores(scores, otherScores) {
+    const total = list => list.reduce((sum, score) => sum + score, 0);
+    const difference = total(scores) - total(otherScores);
+    if (difference !== 0) return difference;
+
+    const index = scores.findIndex((score, i) => score !== otherScores[i]);
+    return index === -1 ? 0 : scores[index] - otherScores[index];
+}
+
+/**
+ * Sorts a team's picks into lanes
+ * @param {Array} picks - Champion names in pick order (null for skipped picks)
+ * @param {Array|null} pinned - Lane layout set by the captain; its picks stay where they are
+ * @returns {Array} - Five entries, one per lane in LANES order, holding a pick index or null
+ */
+export function inferLanes(picks, pinned = null) {
+    const layout = LANES.map(() => null);
+    const placed = new Set();
+
+    (pinned || []).forEach((index, lane) => {
+        if (lane < LANES.length && Number.isInteger(index) && picks[index] && !placed.has(index)) {
+            layout[lane] = index;
+            placed.add(index);
+        }
+    });
+
+    const remaining = picks.map((_, index) => index).filter(index => picks[index] && !placed.has(index));
+    const freeLanes = layout.map((index, lane) => (index === null ? lane : null)).filter(lane => lane !== null);
+
+    // At most 5! placements. On a tie the earlier pick gets its better lane, then the
+    // earlier pick keeps the earlier lane.
+    let best = null;
+    let bestScores = null;
+    for (const placement of getPlacements(freeLanes, Math.min(remaining.length, freeLanes.length))) {
+        const scores = placement.map((lane, i) => getLaneScore(picks[remaining[i]], lane));
+        if (!bestScores || compareScores(scores, bestScores) > 0) {
+            best = placement;
+            bestScores = scores;
+        }
+    }
+
+    best.forEach((lane, i) => {
+        layout[lane] = remaining[i];
+    });
+
+    return layout;
+}
+
+/**
+ * Returns a team's lane layout: the captain's pinned lanes, with any other picks inferred
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @returns {Array} - Pick index per lane, or null for an empty lane
+ */
+export function getLaneOrder(state, team) {
+    return inferLanes(state[`${team}Picks`] || [], state[`${team}Lanes`]);
+}
+
+/**
+ * Lists a team's champions by lane
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @returns {Array} - Champion name per lane in LANES order, or null for an empty lane
+ */
+export function getLanePicks(state, team) {
+    const picks = state[`${team}Picks`] || [];
+    return getLaneOrder(state, team).map(index => (index === null ? null : picks[index]));
+}
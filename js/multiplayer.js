@@ -8,13 +8,16 @@ let currentRoomCode = null;
 let currentTeam = null;
 let isMultiplayerMode = false;
 let isHost = false;
+let isCaptain = false; // Captains ban and can make any pick for their team
 let playerName = 'Player';
 let onDraftUpdateCallback = null;
 let onRoomStatusCallback = null;
 let onRoomUpdateCallback = null;
 let onRoleAssignmentsUpdateCallback = null;
+let onChampionHoverCallback = null;
 let pendingRoleAssignments = null; // Store role assignments received before callback is registered
 let lastKnownDraftState = null; // Track last known state to detect actual changes
+let currentSeries = null; // Latest best-of series snapshot from the server
 
 // Connection robustness state
 let reconnectAttempts = 0;
@@ -230,6 +233,7 @@ function handleServerMessage(data) {
             currentRoomCode = data.roomCode;
             currentTeam = data.team;
             isHost = data.isHost || false;
+            isCaptain = data.isCaptain || false;
             updateRoomUI(data.roomCode, data.team, false);
             if (onDraftUpdateCallback) {
                 // Mark as sync (no animations) for initial state
@@ -237,13 +241,27 @@ function handleServerMessage(data) {
                 onDraftUpdateCallback(data.draftState, data.team, true);
             }
             if (data.fearlessDraftEnabled !== undefined) {
-                updateFearlessState(data.fearlessDraftEnabled);
+                updateFearlessState(data.fearlessDraftEnabled, data.fearlessVariant);
+            }
+            if (data.turnTimerSeconds !== undefined) {
+                updateTurnTimerState(data.turnTimerSeconds);
+            }
+            if (data.draftFormat) {
+                updateDraftFormatState(data.draftFormat);
+            }
+            updatePatchState(data.patch, data.champions);
+            Draft.updateChampionPools(data.championPools, data.poolRestricted);
+            Draft.updateBlindConflictRule(data.blindConflictRule);
+            if (data.series) {
+                updateSeriesState(data.series);
             }
             // Update room players list
             if (onRoomUpdateCallback) {
                 onRoomUpdateCallback({
                     bluePlayerName: data.bluePlayerName,
                     redPlayerName: data.redPlayerName,
+                    blueTeammates: data.blueTeammates || [],
+                    redTeammates: data.redTeammates || [],
                     spectators: data.spectators || []
                 });
             }
@@ -263,12 +281,14 @@ function handleServerMessage(data) {
                 }
             }
             Draft.updateFearlessDraftToggle();
+            Draft.updateHostControls();
             break;
 
         case 'room_joined':
             currentRoomCode = data.roomCode;
             currentTeam = data.team;
             isHost = data.isHost || false;
+            isCaptain = data.isCaptain || false;
             console.log('Room joined - role assignments received:', {
                 blueTeamRoles: data.blueTeamRoles,
                 redTeamRoles: data.redTeamRoles,
@@ -282,13 +302,27 @@ function handleServerMessage(data) {
                 onDraftUpdateCallback(data.draftState, data.team, true);
             }
             if (data.fearlessDraftEnabled !== undefined) {
-                updateFearlessState(data.fearlessDraftEnabled);
+                updateFearlessState(data.fearlessDraftEnabled, data.fearlessVariant);
+            }
+            if (data.turnTimerSeconds !== undefined) {
+                updateTurnTimerState(data.turnTimerSeconds);
+            }
+            if (data.draftFormat) {
+                updateDraftFormatState(data.draftFormat);
+            }
+            updatePatchState(data.patch, data.champions);
+            Draft.updateChampionPools(data.championPools, data.poolRestricted);
+            Draft.updateBlindConflictRule(data.blindConflictRule);
+            if (data.series) {
+                updateSeriesState(data.series);
             }
             // Update room players list
             if (onRoomUpdateCallback) {
                 onRoomUpdateCallback({
                     bluePlayerName: data.bluePlayerName,
                     redPlayerName: data.redPlayerName,
+                    blueTeammates: data.blueTeammates || [],
+                    redTeammates: data.redTeammates || [],
                     spectators: data.spectators || []
                 });
             }
@@ -316,6 +350,7 @@ function handleServerMessage(data) {
                 console.log('No role assignments in room_joined message (both null)');
             }
             Draft.updateFearlessDraftToggle();
+            Draft.updateHostControls();
             break;
 
         case 'opponent_joined':
@@ -339,6 +374,9 @@ function handleServerMessage(data) {
             break;
 
         case 'draft_started':
+            if (data.series) {
+                updateSeriesState(data.series);
+            }
             if (onDraftUpdateCallback) {
                 lastKnownDraftState = data.draftState;
                 onDraftUpdateCallback(data.draftState, currentTeam, false);
@@ -352,19 +390,150 @@ function handleServerMessage(data) {
                 lastKnownDraftState = data.draftState;
                 onDraftUpdateCallback(data.draftState, currentTeam, !isNewAction);
             }
+            if (data.blindReveal) {
+                Draft.showBlindReveal();
+            }
+            break;
+
+        case 'blind_pick_locked':
+            (data.conflicts || []).filter(conflict => conflict.team === currentTeam).forEach(conflict => {
+                showNotification(conflict.unavailable
+                    ? `${conflict.champion} can no longer be picked. Pick again!`
+                    : `The other team locked ${conflict.champion} first. Pick again!`, 'warning');
+            });
+            if (onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'random_draft_updated':
+            if (data.event === 'rerolled' && data.team === currentTeam) {
+                showNotification(`Rerolled into ${data.champion}`, 'info');
+            }
+            if (onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'blind_conflict_rule_updated':
+            Draft.updateBlindConflictRule(data.rule);
+            showNotification(data.rule === 'mirror'
+                ? 'Blind pick: both teams may pick the same champion'
+                : 'Blind pick: the team that locks a shared champion later picks again', 'info');
+            break;
+
+        case 'champion_hovered':
+            if (onChampionHoverCallback) {
+                onChampionHoverCallback(data.hover);
+            }
+            break;
+
+        case 'draft_paused':
+        case 'draft_resumed':
+            showNotification(data.type === 'draft_paused' ? 'Draft paused by host' : 'Draft resumed', 'info');
+            if (onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'series_updated':
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            updateSeriesState(data.series);
+            if (data.series.winner) {
+                showNotification(`${data.series.winner === 'blue' ? 'Blue' : 'Red'} side wins the series!`, 'success');
+            } else if (data.series.awaitingSide) {
+                showNotification(`${data.series.awaitingSide === 'blue' ? 'Blue' : 'Red'} side lost and is choosing a side for game ${data.series.gameNumber}`, 'info');
+            }
+            break;
+
+        case 'undo_requested':
+            handleUndoRequest(data);
+            break;
+
+        case 'undo_resolved':
+            if (data.approved) {
+                showNotification(`Undid ${data.team} team's ${data.action}${data.champion ? ` of ${data.champion}` : ''}`, 'info');
+            } else if (data.expired) {
+                showNotification('Undo request expired because the draft moved on', 'warning');
+            } else {
+                showNotification('Undo request declined', 'warning');
+            }
+            break;
+
+        case 'lanes_updated':
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'trade_updated':
+            if (data.event === 'proposed' && data.awaiting === playerName && data.team === currentTeam) {
+                showNotification(`${data.proposedBy} wants to swap champions with you`, 'info');
+            } else if (data.event === 'accepted' && data.team === currentTeam) {
+                showNotification('Champions swapped', 'success');
+            } else if (data.event === 'declined' && data.proposedBy === playerName) {
+                showNotification('Your swap was declined', 'warning');
+            } else if (data.event === 'ended') {
+                showNotification('Trade phase is over', 'info');
+            }
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
             break;
 
         case 'fearless_toggled':
-            updateFearlessState(data.enabled);
+            updateFearlessState(data.enabled, data.variant);
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'turn_timer_updated':
+            updateTurnTimerState(data.seconds);
+            break;
+
+        case 'champion_pools_updated':
+            Draft.updateChampionPools(data.championPools, data.poolRestricted);
+            break;
+
+        case 'disabled_champions_updated':
+            if (!isHost) {
+                showNotification(data.champions.length > 0
+                    ? `Disabled champions: ${data.champions.join(', ')}`
+                    : 'All champions are enabled again', 'info');
+            }
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
+            break;
+
+        case 'draft_format_updated':
+            updateDraftFormatState(data.draftFormat);
+            showNotification(`Draft format set to ${data.draftFormat.name}`, 'info');
             break;
 
         case 'fearless_reset':
             showNotification('Fearless Draft session reset', 'info');
+            if (data.draftState && onDraftUpdateCallback) {
+                lastKnownDraftState = data.draftState;
+                onDraftUpdateCallback(data.draftState, currentTeam, true);
+            }
             break;
 
         case 'team_switched':
             currentTeam = data.team;
             isHost = data.isHost || false;
+            isCaptain = data.isCaptain || false;
             updateRoomUI(currentRoomCode, data.team, false);
             if (onDraftUpdateCallback) {
                 lastKnownDraftState = data.draftState;
@@ -375,6 +544,8 @@ function handleServerMessage(data) {
                 onRoomUpdateCallback({
                     bluePlayerName: data.bluePlayerName,
                     redPlayerName: data.redPlayerName,
+                    blueTeammates: data.blueTeammates || [],
+                    redTeammates: data.redTeammates || [],
                     spectators: data.spectators || []
                 });
             }
@@ -386,6 +557,8 @@ function handleServerMessage(data) {
                 onRoomUpdateCallback({
                     bluePlayerName: data.bluePlayerName,
                     redPlayerName: data.redPlayerName,
+                    blueTeammates: data.blueTeammates || [],
+                    redTeammates: data.redTeammates || [],
                     spectators: data.spectators
                 });
             }
@@ -411,6 +584,8 @@ function handleServerMessage(data) {
                 onRoomUpdateCallback({
                     bluePlayerName: data.bluePlayerName,
                     redPlayerName: data.redPlayerName,
+                    blueTeammates: data.blueTeammates || [],
+                    redTeammates: data.redTeammates || [],
                     spectators: data.spectators
                 });
             }
@@ -422,7 +597,8 @@ function handleServerMessage(data) {
             if (onRoleAssignmentsUpdateCallback) {
                 onRoleAssignmentsUpdateCallback({
                     blueTeamRoles: data.blueTeamRoles,
-                    redTeamRoles: data.redTeamRoles
+                    redTeamRoles: data.redTeamRoles,
+                    turnOwner: data.turnOwner
                 });
             }
             break;
@@ -438,13 +614,17 @@ function handleServerMessage(data) {
 
 /**
  * Create a new multiplayer room
+ * @param {Object} formatOptions - { draftFormat, customDraftOrder, patch } chosen by the host
  */
-export async function createRoom() {
+export async function createRoom(formatOptions = {}) {
     try {
         await connectWebSocket();
         sendMessage({
             type: 'create_room',
-            playerName: playerName
+            playerName: playerName,
+            draftFormat: formatOptions.draftFormat,
+            customDraftOrder: formatOptions.customDraftOrder,
+            patch: formatOptions.patch
         });
         isMultiplayerMode = true;
         return true;
@@ -702,6 +882,54 @@ export function startDraft() {
     });
 }
 
+/**
+ * Start a new best-of series (host only)
+ */
+export function setSeriesLength(bestOf) {
+    sendMessage({
+        type: 'set_series_length',
+        bestOf: bestOf
+    });
+}
+
+/**
+ * Record which side won the finished series game (host only)
+ */
+export function recordGameResult(winner) {
+    sendMessage({
+        type: 'record_game_result',
+        winner: winner
+    });
+}
+
+/**
+ * Choose a side for the next series game (losing team only)
+ */
+export function chooseSide(side) {
+    sendMessage({
+        type: 'choose_side',
+        side: side
+    });
+}
+
+/**
+ * Freeze the draft in progress (host only)
+ */
+export function pauseDraft() {
+    sendMessage({
+        type: 'pause_draft'
+    });
+}
+
+/**
+ * Continue a paused draft (host only)
+ */
+export function resumeDraft() {
+    sendMessage({
+        type: 'resume_draft'
+    });
+}
+
 /**
  * Send a draft action (pick or ban)
  */
@@ -713,15 +941,179 @@ export function sendDraftAction(champion) {
 }
 
 /**
- * Toggle fearless draft mode
+ * Share the champion selected for the current slot before it is locked in
+ */
+export function hoverChampion(champion) {
+    sendMessage({
+        type: 'hover_champion',
+        champion: champion
+    });
+}
+
+/**
+ * Roll a new champion for one of your team's lanes in a random draft; the old one goes to the bench
+ * @param {number} slot - Lane index in TOP/JGL/MID/ADC/SUP order
+ */
+export function rerollChampion(slot) {
+    sendMessage({
+        type: 'reroll_champion',
+        slot: slot
+    });
+}
+
+/**
+ * Take a champion from your team's bench into one of your lanes in a random draft
+ * @param {number} slot - Lane index in TOP/JGL/MID/ADC/SUP order
+ * @param {string} champion - Champion on the bench
+ */
+export function swapBenchChampion(slot, champion) {
+    sendMessage({
+        type: 'swap_bench_champion',
+        slot: slot,
+        champion: champion
+    });
+}
+
+/**
+ * Lock in a lane's champion in a random draft
+ * @param {number} slot - Lane index in TOP/JGL/MID/ADC/SUP order
+ */
+export function lockRandomPick(slot) {
+    sendMessage({
+        type: 'lock_random_pick',
+        slot: slot
+    });
+}
+
+/**
+ * Ask to roll back your team's last draft action
+ */
+export function requestUndo() {
+    sendMessage({
+        type: 'request_undo'
+    });
+}
+
+/**
+ * Approve or decline the pending undo request
+ */
+export function respondUndo(approve) {
+    sendMessage({
+        type: 'respond_undo',
+        approve: approve
+    });
+}
+
+/**
+ * Move a champion to another lane on your team's board (captain only)
+ * @param {number[]} lanes - The two lanes to swap, in TOP/JGL/MID/ADC/SUP order
+ */
+export function swapLanes(lanes) {
+    sendMessage({
+        type: 'swap_lanes',
+        lanes: lanes
+    });
+}
+
+/**
+ * Propose swapping champions between two of your team's lanes during the trade phase
+ * @param {number[]} slots - The two lanes to swap
+ */
+export function proposeTrade(slots) {
+    sendMessage({
+        type: 'propose_trade',
+        slots: slots
+    });
+}
+
+/**
+ * Accept or decline a swap that is waiting on you
+ * @param {number} id - Proposal id
+ * @param {boolean} accept - Whether to make the swap
+ */
+export function respondTrade(id, accept) {
+    sendMessage({
+        type: 'respond_trade',
+        id: id,
+        accept: accept
+    });
+}
+
+/**
+ * Toggle fearless draft mode and choose its variant
+ * @param {boolean} enabled - Whether Fearless is on
+ * @param {Object} variant - { scope, includeBans, gameWindow } (optional, keeps the room's variant)
  */
-export function toggleFearlessDraft(enabled) {
+export function toggleFearlessDraft(enabled, variant) {
     sendMessage({
         type: 'toggle_fearless',
+        enabled: enabled,
+        variant: variant
+    });
+}
+
+/**
+ * Set the draft format used from the next draft
+ */
+export function setDraftFormat(formatId, customDraftOrder = null) {
+    sendMessage({
+        type: 'set_draft_format',
+        draftFormat: formatId,
+        customDraftOrder: customDraftOrder
+    });
+}
+
+/**
+ * Set the per-turn time limit in seconds (0 disables it)
+ */
+export function setTurnTimer(seconds) {
+    sendMessage({
+        type: 'set_turn_timer',
+        seconds: seconds
+    });
+}
+
+/**
+ * Replace the room's disabled-champion list (host only)
+ */
+export function setDisabledChampions(champions) {
+    sendMessage({
+        type: 'set_disabled_champions',
+        champions: champions
+    });
+}
+
+/**
+ * Send the champion pools declared in the lobby setup (host only)
+ */
+export function setChampionPools(pools) {
+    sendMessage({
+        type: 'set_champion_pools',
+        pools: pools
+    });
+}
+
+/**
+ * Require picks to come from the pick owner's champion pool (host only)
+ */
+export function setPoolRestricted(enabled) {
+    sendMessage({
+        type: 'set_pool_restricted',
         enabled: enabled
     });
 }
 
+/**
+ * Choose how a blind draft resolves a champion both teams picked (host only)
+ * @param {string} rule - 'repick' or 'mirror'
+ */
+export function setBlindConflictRule(rule) {
+    sendMessage({
+        type: 'set_blind_conflict_rule',
+        rule: rule
+    });
+}
+
 /**
  * Reset fearless draft session
  */
@@ -975,10 +1367,11 @@ function updateRoomUI(roomCode, team, isJoiner) {
 /**
  * Update fearless draft state
  */
-function updateFearlessState(enabled) {
+function updateFearlessState(enabled, variant) {
     const fearlessToggle = document.getElementById('fearless-draft-checkbox');
     const fearlessLabel = document.getElementById('fearless-draft-label-text');
     const fearlessResetBtn = document.getElementById('reset-fearless-session-btn');
+    const variantContainer = document.getElementById('fearless-variant-container');
 
     if (fearlessToggle) {
         fearlessToggle.checked = enabled;
@@ -990,13 +1383,96 @@ function updateFearlessState(enabled) {
         if (fearlessResetBtn) {
             fearlessResetBtn.classList.toggle('hidden', !enabled);
         }
+        if (variantContainer) {
+            variantContainer.classList.toggle('hidden', !enabled);
+        }
 
         // Dispatch a custom event to notify the draft module
-        const event = new CustomEvent('fearlessStateChanged', { detail: { enabled } });
+        const event = new CustomEvent('fearlessStateChanged', { detail: { enabled, variant } });
         document.dispatchEvent(event);
     }
 }
 
+/**
+ * Show an undo request, asking for a decision if this player may answer it
+ */
+function handleUndoRequest(data) {
+    const teamName = data.team === 'blue' ? 'Blue' : 'Red';
+    const actionText = data.champion ? `${data.action} of ${data.champion}` : `skipped ${data.action}`;
+
+    if (currentTeam === data.team) {
+        showNotification('Undo requested, waiting for approval...', 'info');
+        return;
+    }
+
+    const canAnswer = currentTeam === 'blue' || currentTeam === 'red' || isHost;
+    if (!canAnswer) {
+        showNotification(`${teamName} team requested to undo their ${actionText}`, 'info');
+        return;
+    }
+
+    respondUndo(confirm(`${teamName} team wants to undo their ${actionText}. Allow it?`));
+}
+
+/**
+ * Update turn timer setting
+ */
+function updateTurnTimerState(seconds) {
+    const timerSelect = document.getElementById('turn-timer-select');
+
+    if (timerSelect) {
+        timerSelect.value = String(seconds);
+    }
+}
+
+/**
+ * Update draft format selection
+ */
+function updateDraftFormatState(draftFormat) {
+    const formatSelect = document.getElementById('draft-format-select');
+
+    if (formatSelect) {
+        formatSelect.value = draftFormat.id;
+    }
+
+    // Dispatch a custom event to notify the draft module
+    const event = new CustomEvent('draftFormatChanged', { detail: { draftFormat } });
+    document.dispatchEvent(event);
+}
+
+/**
+ * Show the room's patch and switch the champion list to its roster
+ */
+function updatePatchState(patch, champions) {
+    const patchBadge = document.getElementById('patch-badge');
+
+    if (patchBadge) {
+        patchBadge.textContent = patch ? `Patch ${patch}` : '';
+        patchBadge.classList.toggle('hidden', !patch);
+    }
+
+    // Rooms without a pinned patch keep the champion list the client loaded itself
+    if (champions) {
+        Draft.setChampionRoster(patch, champions);
+    }
+}
+
+/**
+ * Update series length selection and score
+ */
+function updateSeriesState(series) {
+    currentSeries = series;
+    const seriesSelect = document.getElementById('series-length-select');
+
+    if (seriesSelect) {
+        seriesSelect.value = String(series.bestOf);
+    }
+
+    // Dispatch a custom event to notify the draft module
+    const event = new CustomEvent('seriesChanged', { detail: { series } });
+    document.dispatchEvent(event);
+}
+
 /**
  * Update connection status indicator
  */
@@ -1082,6 +1558,13 @@ export function onDraftUpdate(callback) {
     onDraftUpdateCallback = callback;
 }
 
+/**
+ * Register callback for champion selections made before lock-in
+ */
+export function onChampionHover(callback) {
+    onChampionHoverCallback = callback;
+}
+
 /**
  * Register callback for room status updates
  */
@@ -1117,6 +1600,13 @@ export function isInMultiplayerMode() {
     return isMultiplayerMode;
 }
 
+/**
+ * Get the latest best-of series snapshot
+ */
+export function getSeries() {
+    return currentSeries;
+}
+
 /**
  * Get current team
  */
@@ -1166,6 +1656,8 @@ export function leaveRoom() {
     // Reset all state
     currentRoomCode = null;
     currentTeam = null;
+    isCaptain = false;
+    currentSeries = null;
     reconnectAttempts = 0;
     messageQueue = [];
     connectionState = 'disconnected';
@@ -1205,3 +1697,10 @@ export function getPlayerName() {
 export function getIsHost() {
     return isHost;
 }
+
+/**
+ * Check if current player is their team's captain
+ */
+export function getIsCaptain() {
+    return isCaptain;
+}
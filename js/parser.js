@@ -10,7 +10,7 @@ export function parseLobbyChat(inputText) {
         }
     });
 
-    return Array.from(playerNames).map(name => ({ name, roles: [] }));
+    return Array.from(playerNames).map(name => ({ name, roles: [], pool: [] }));
 }
 
 export function saveLobbyToStorage(lobbyText) {
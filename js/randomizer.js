@@ -47,6 +47,60 @@ export function solveRoleAssignment(players) {
     return canSolve(0) ? assignments : null;
 }
 
+// --- CHAOS LOADOUTS ---
+// Ultimate Bravery-style loadouts for Quick Play
+
+export const SUMMONER_SPELLS = ['Barrier', 'Cleanse', 'Exhaust', 'Flash', 'Ghost', 'Heal', 'Ignite', 'Teleport'];
+export const KEYSTONES = [
+    'Press the Attack', 'Lethal Tempo', 'Fleet Footwork', 'Conqueror',
+    'Electrocute', 'Dark Harvest', 'Hail of Blades',
+    'Summon Aery', 'Arcane Comet', 'Phase Rush',
+    'Grasp of the Undying', 'Aftershock', 'Guardian',
+    'Glacial Augment', 'Unsealed Spellbook', 'First Strike'
+];
+
+function pickRandom(array) {
+    return array[Math.floor(Math.random() * array.length)];
+}
+
+/**
+ * Rolls a random champion, two summoner spells and a keystone. Junglers always take Smite.
+ * @param {string} role - Role the player was given
+ * @param {Array} champions - Champion objects to draw from
+ * @param {Array} takenChampions - Names of the champions teammates already have
+ * @returns {Object} - { champion, spells: [first, second], keystone }; champion is null when none is left
+ */
+export function rollLoadout(role, champions, takenChampions = []) {
+    const available = champions.filter(champ => !takenChampions.includes(champ.name));
+    const [first, second] = shuffleArray(SUMMONER_SPELLS);
+
+    return {
+        champion: available.length > 0 ? pickRandom(available) : null,
+        spells: role === 'JGL' ? ['Smite', first] : [first, second],
+        keystone: pickRandom(KEYSTONES)
+    };
+}
+
+/**
+ * Gives every player a random role, ignoring their preferences, and a loadout
+ * @param {Array} players - Array of player objects (at most one per role)
+ * @param {Array} roles - Roles to hand out
+ * @param {Array} champions - Champion objects to draw from
+ * @returns {Object} - { roles: Map of playerName -> role (null if there are more players
+ *                     than roles), loadouts: Map of playerName -> loadout }
+ */
+export function rollChaosTeam(players, roles, champions) {
+    const roleAssignments = solveRoleAssignment(players.map(player => ({ ...player, roles })));
+    const loadouts = new Map();
+
+    players.forEach(player => {
+        const taken = [...loadouts.values()].map(loadout => loadout.champion?.name);
+        loadouts.set(player.name, rollLoadout(roleAssignments?.get(player.name), champions, taken));
+    });
+
+    return { roles: roleAssignments, loadouts };
+}
+
 /**
  * Validates if there are enough players for the selected mode
  * @param {number} playerCount - Number of players
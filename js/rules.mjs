@@ -0,0 +1,745 @@
+// --- DRAFT RULES ENGINE ---
+// Shared by solo mode in the browser and multiplayer on the Node server, so both follow
+// identical rules. Functions are pure: they never mutate the state they are given.
+
+import { LANES, getLaneOrder } from './lanes.mjs';
+
+/**
+ * Reasons an action can be rejected
+ */
+export const REJECTION = {
+    DRAFT_NOT_ACTIVE: 'draft_not_active',
+    DRAFT_PAUSED: 'draft_paused',
+    DRAFT_COMPLETE: 'draft_complete',
+    NOT_YOUR_TURN: 'not_your_turn',
+    NO_CHAMPION: 'no_champion',
+    CHAMPION_UNAVAILABLE: 'champion_unavailable',
+    CHAMPION_DISABLED: 'champion_disabled',
+    OUTSIDE_POOL: 'outside_pool',
+    FEARLESS_LOCKED: 'fearless_locked',
+    NOTHING_TO_UNDO: 'nothing_to_undo',
+    PICKS_TRADED: 'picks_traded',
+    DRAFT_NOT_COMPLETE: 'draft_not_complete',
+    INVALID_TRADE: 'invalid_trade',
+    INVALID_LANES: 'invalid_lanes',
+    NOT_ON_PATCH: 'not_on_patch',
+    INVALID_SLOT: 'invalid_slot',
+    SLOT_LOCKED: 'slot_locked',
+    NO_REROLLS: 'no_rerolls',
+    NOT_ON_BENCH: 'not_on_bench',
+    NO_CHAMPIONS_LEFT: 'no_champions_left'
+};
+
+export const REJECTION_MESSAGES = {
+    [REJECTION.DRAFT_NOT_ACTIVE]: 'Draft not in progress',
+    [REJECTION.DRAFT_PAUSED]: 'Draft is paused by the host',
+    [REJECTION.DRAFT_COMPLETE]: 'Draft already complete',
+    [REJECTION.NOT_YOUR_TURN]: 'Not your turn',
+    [REJECTION.NO_CHAMPION]: 'No champion selected',
+    [REJECTION.CHAMPION_UNAVAILABLE]: 'Champion is already picked or banned',
+    [REJECTION.CHAMPION_DISABLED]: 'Champion is disabled in this room',
+    [REJECTION.OUTSIDE_POOL]: 'Champion is not in this player\'s champion pool',
+    [REJECTION.FEARLESS_LOCKED]: 'Champion has already been used in this Fearless session',
+    [REJECTION.NOTHING_TO_UNDO]: 'There is no action to undo',
+    [REJECTION.PICKS_TRADED]: 'Picks have been traded, so the draft can no longer be undone',
+    [REJECTION.DRAFT_NOT_COMPLETE]: 'Champions can only be traded once the draft is complete',
+    [REJECTION.INVALID_TRADE]: 'A trade needs two different lanes that both hold a champion',
+    [REJECTION.INVALID_LANES]: 'Choose two different lanes, at least one holding a champion',
+    [REJECTION.NOT_ON_PATCH]: 'Champion is not available on this room\'s patch',
+    [REJECTION.INVALID_SLOT]: 'There is no such lane to change',
+    [REJECTION.SLOT_LOCKED]: 'This lane has already locked in its champion',
+    [REJECTION.NO_REROLLS]: 'No rerolls left for this lane',
+    [REJECTION.NOT_ON_BENCH]: 'Champion is not on your team\'s bench',
+    [REJECTION.NO_CHAMPIONS_LEFT]: 'No champions are left to roll'
+};
+
+export const FEARLESS_SCOPES = ['global', 'team'];
+export const MAX_FEARLESS_GAME_WINDOW = 10;
+
+/**
+ * Classic Fearless: a champion picked by either team stays locked for the whole session
+ */
+export const DEFAULT_FEARLESS_VARIANT = { scope: 'global', includeBans: false, gameWindow: 0 };
+
+/**
+ * Fills in and checks a Fearless variant chosen by the host
+ * @param {Object} variant - { scope: 'global' | 'team', includeBans, gameWindow } (gameWindow 0 = whole session)
+ * @returns {Object|null} - Normalized variant, or null if it is invalid
+ */
+export function normalizeFearlessVariant(variant = {}) {
+    const { scope, includeBans, gameWindow } = { ...DEFAULT_FEARLESS_VARIANT, ...variant };
+
+    if (!FEARLESS_SCOPES.includes(scope) || !Number.isInteger(gameWindow) ||
+        gameWindow < 0 || gameWindow > MAX_FEARLESS_GAME_WINDOW) {
+        return null;
+    }
+
+    return { scope, includeBans: !!includeBans, gameWindow };
+}
+
+/**
+ * How a blind draft resolves a champion both teams picked: the team that locked it later
+ * picks again, or both teams keep it
+ */
+export const BLIND_CONFLICT_RULES = ['repick', 'mirror'];
+export const DEFAULT_BLIND_CONFLICT_RULE = 'repick';
+export const BLIND_LOCKED = 'locked'; // Stands in for a hidden pick of the other team in a blind draft
+
+export const RANDOM_REROLLS = 2; // Rerolls each lane gets in a random draft
+
+export const MAX_DISABLED_CHAMPIONS = 200;
+export const MAX_POOL_SIZE = 200;
+export const MAX_POOL_PLAYERS = 50;
+
+function normalizeChampionNames(list, maxLength) {
+    if (!Array.isArray(list) || list.length > maxLength ||
+        !list.every(champion => typeof champion === 'string' && champion.trim())) {
+        return null;
+    }
+
+    return [...new Set(list.map(champion => champion.trim()))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Checks a disabled-champion list set by the host or loaded from a file
+ * @param {Array} list - Champion names
+ * @returns {Array|null} - Names without duplicates in alphabetical order, or null if the list is invalid
+ */
+export function normalizeDisabledChampions(list) {
+    return normalizeChampionNames(list, MAX_DISABLED_CHAMPIONS);
+}
+
+/**
+ * Checks the champion pools players declared in the lobby setup
+ * @param {Object} pools - Player name to an array of champion names
+ * @returns {Object|null} - Pools with normalized lists (empty pools left out), or null if invalid
+ */
+export function normalizeChampionPools(pools) {
+    if (!pools || typeof pools !== 'object' || Array.isArray(pools) || Object.keys(pools).length > MAX_POOL_PLAYERS) {
+        return null;
+    }
+
+    const normalized = {};
+    for (const [player, list] of Object.entries(pools)) {
+        const pool = normalizeChampionNames(list, MAX_POOL_SIZE);
+        if (!pool) return null;
+        if (pool.length > 0) {
+            normalized[player] = pool;
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Checks whether a champion is in a pool. Pools are typed by players, so case, spaces
+ * and punctuation are ignored ("kaisa" matches "Kai'Sa").
+ * @param {Array} pool - Champion names
+ * @param {string} champion - Champion name
+ * @returns {boolean}
+ */
+export function isInChampionPool(pool, champion) {
+    const key = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return pool.some(name => key(name) === key(champion));
+}
+
+/**
+ * Creates an idle draft for a format
+ * @param {Object} format - { id, name, steps, blind, random } from formats.mjs
+ * @param {Object} options - { fearlessEnabled, fearlessUsedChampions, fearlessVariant, fearlessGame, disabledChampions, mirrorPicks }
+ * @returns {Object} - Draft state
+ */
+export function createDraftState(format, options = {}) {
+    const fearlessEnabled = !!options.fearlessEnabled;
+
+    return {
+        phase: 'idle',
+        format: format.id,
+        formatName: format.name,
+        draftOrder: format.steps,
+        currentTurn: 0,
+        currentTeam: 'blue',
+        currentAction: 'ban',
+        blueBans: [],
+        redBans: [],
+        bluePicks: [],
+        redPicks: [],
+        actions: [], // Applied steps in order: { turn, team, action, champion, timestamp, fearlessAdded }
+        trades: [],  // Post-draft champion swaps in order: { team, slots: [laneA, laneB] }
+        blueLanes: null, // Lane layout pinned by the captain (see lanes.mjs); null infers every lane
+        redLanes: null,
+        startedAt: null,
+        fearlessEnabled: fearlessEnabled,
+        fearlessVariant: normalizeFearlessVariant(options.fearlessVariant) || DEFAULT_FEARLESS_VARIANT,
+        fearlessGame: options.fearlessGame || 1, // Game number within the Fearless session
+        // Earlier uses in the session: { champion, team, action, game }
+        fearlessUsedChampions: fearlessEnabled ? [...(options.fearlessUsedChampions || [])] : [],
+        disabledChampions: [...(options.disabledChampions || [])], // Champions the host has taken out of the room
+        blind: !!format.blind, // Both teams pick at the same time and the picks are revealed together
+        mirrorPicks: !!options.mirrorPicks, // Whether both teams may pick the same champion
+        random: !!format.random, // Champions are rolled for every lane instead of drafted
+        randomDraft: null // Rolls of a random draft in progress (see rollRandomDraft)
+    };
+}
+
+/**
+ * Moves an idle or finished draft to its first step
+ * @param {Object} state - Draft state
+ * @returns {Object} - Draft state in the drafting phase
+ */
+export function startDraft(state) {
+    return withTurn({ ...state, phase: 'drafting', startedAt: Date.now() }, 0);
+}
+
+/**
+ * Freezes a draft in progress; no action is accepted until it is resumed
+ * @param {Object} state - Draft state
+ * @returns {Object|null} - Paused draft state, or null if the draft is not in progress
+ */
+export function pauseDraft(state) {
+    if (state.phase !== 'drafting') return null;
+    return { ...state, phase: 'paused' };
+}
+
+/**
+ * Continues a paused draft from the same turn
+ * @param {Object} state - Draft state
+ * @returns {Object|null} - Draft state in the drafting phase, or null if it was not paused
+ */
+export function resumeDraft(state) {
+    if (state.phase !== 'paused') return null;
+    return { ...state, phase: 'drafting' };
+}
+
+/**
+ * Returns the step that is waiting to be played
+ * @param {Object} state - Draft state
+ * @returns {Object|null} - { team, action } or null if no step is pending
+ */
+export function getCurrentStep(state) {
+    if (state.phase !== 'drafting') return null;
+    return state.draftOrder[state.currentTurn] || null;
+}
+
+/**
+ * Finds the earlier use that keeps a champion out of a step under the Fearless variant
+ * @param {Object} state - Draft state
+ * @param {string} champion - Champion name
+ * @param {Object|null} step - { team, action } being played; null checks against either team
+ * @returns {Object|null} - The locking { champion, team, action, game } entry, or null if allowed
+ */
+export function getFearlessLock(state, champion, step) {
+    if (!state.fearlessEnabled) return null;
+
+    const { scope, includeBans, gameWindow } = state.fearlessVariant;
+    const lockFor = team => state.fearlessUsedChampions.find(entry =>
+        entry.champion === champion &&
+        (includeBans || entry.action === 'pick') &&
+        (gameWindow === 0 || state.fearlessGame - entry.game <= gameWindow) &&
+        (scope === 'global' || !team || !entry.team || entry.team === team)
+    ) || null;
+
+    if (!step) return lockFor(null);
+
+    // With team-scoped locks a ban still matters while the other team may pick the champion
+    if (scope === 'team' && step.action === 'ban') {
+        const otherTeam = step.team === 'blue' ? 'red' : 'blue';
+        const ownLock = lockFor(step.team);
+        return ownLock && lockFor(otherTeam) ? ownLock : null;
+    }
+
+    return lockFor(step.team);
+}
+
+/**
+ * Maps each Fearless-locked champion to the entry that locks it for the current step
+ * @param {Object} state - Draft state
+ * @returns {Map<string, Object>} - Champion name to { champion, team, action, game }
+ */
+export function getFearlessLocks(state) {
+    const locks = new Map();
+    const step = state.draftOrder[state.currentTurn] || null;
+
+    state.fearlessUsedChampions.forEach(({ champion }) => {
+        if (locks.has(champion)) return;
+        const lock = getFearlessLock(state, champion, step);
+        if (lock) {
+            locks.set(champion, lock);
+        }
+    });
+
+    return locks;
+}
+
+/**
+ * Collects every champion that can no longer be banned or picked in the current step
+ * @param {Object} state - Draft state
+ * @returns {Set<string>} - Champion names
+ */
+export function getUnavailableChampions(state) {
+    const step = state.draftOrder[state.currentTurn];
+    const unavailable = new Set([
+        ...state.blueBans, ...state.redBans,
+        ...getTakenPicks(state, step && step.action === 'pick' ? step.team : null)
+    ].filter(Boolean));
+
+    getFearlessLocks(state).forEach((lock, champion) => unavailable.add(champion));
+    (state.disabledChampions || []).forEach(champion => unavailable.add(champion));
+
+    return unavailable;
+}
+
+/**
+ * Checks an action against the rules without applying it
+ * @param {Object} state - Draft state
+ * @param {Object} action - { type: 'lock' | 'skip', team, champion }
+ * @returns {string|null} - Rejection reason, or null if the action is legal
+ */
+export function validateDraftAction(state, action) {
+    const phaseRejection = getPhaseRejection(state);
+    if (phaseRejection) {
+        return phaseRejection;
+    }
+
+    const step = getCurrentStep(state);
+    if (!step) {
+        return REJECTION.DRAFT_COMPLETE;
+    }
+
+    if (action.team !== step.team) {
+        return REJECTION.NOT_YOUR_TURN;
+    }
+
+    // A skip leaves the slot empty, so there is no champion to check
+    if (action.type === 'skip') {
+        return null;
+    }
+
+    if (!action.champion) {
+        return REJECTION.NO_CHAMPION;
+    }
+
+    const taken = step.action === 'pick' ? getTakenPicks(state, action.team) : getTakenPicks(state, null);
+    if ([...state.blueBans, ...state.redBans, ...taken].includes(action.champion)) {
+        return REJECTION.CHAMPION_UNAVAILABLE;
+    }
+
+    return getChampionRejection(state, action.champion, { team: action.team, action: step.action });
+}
+
+/**
+ * Checks a pick a team locks in secret during a blind draft. Both teams pick at once,
+ * so there is no turn to check, and the other team's hidden picks are not known.
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {string} champion - Champion name
+ * @param {Array} unavailable - Champions the team cannot pick: its own hidden picks and
+ *                              any the other team was found to hold
+ * @returns {string|null} - Rejection reason, or null if the pick is legal
+ */
+export function validateBlindPick(state, team, champion, unavailable = []) {
+    const phaseRejection = getPhaseRejection(state);
+    if (phaseRejection) {
+        return phaseRejection;
+    }
+
+    if (!['blue', 'red'].includes(team)) {
+        return REJECTION.NOT_YOUR_TURN;
+    }
+
+    if (!champion) {
+        return REJECTION.NO_CHAMPION;
+    }
+
+    if ([...state.blueBans, ...state.redBans, ...unavailable].includes(champion)) {
+        return REJECTION.CHAMPION_UNAVAILABLE;
+    }
+
+    return getChampionRejection(state, champion, { team, action: 'pick' });
+}
+
+/**
+ * Applies both teams' hidden picks of a blind draft at once, in draft order
+ * @param {Object} state - Draft state
+ * @param {Object} picks - { blue, red } champion names by pick slot; null skips the slot
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function revealBlindPicks(state, picks) {
+    return applyPicksInOrder(state, picks);
+}
+
+/**
+ * Rolls a champion for every lane of a random draft that has just started. Champions
+ * that are banned, disabled in the room or Fearless-locked for the team are never rolled,
+ * and no champion is rolled twice.
+ * @param {Object} state - Draft state in the drafting phase
+ * @param {Array} roster - Champion names to roll from
+ * @param {Function} random - Returns a number in [0, 1) (defaults to Math.random)
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function rollRandomDraft(state, roster, random = Math.random) {
+    const phaseRejection = getPhaseRejection(state);
+    if (phaseRejection) {
+        return rejected(phaseRejection);
+    }
+
+    const rolled = [];
+    const rollLanes = team => LANES.map(() => {
+        const champion = rollChampion(state, team, roster, rolled, random);
+        if (champion) rolled.push(champion);
+        return champion;
+    });
+    const perLane = value => ({ blue: LANES.map(() => value), red: LANES.map(() => value) });
+
+    return {
+        ok: true,
+        state: {
+            ...state,
+            randomDraft: {
+                picks: { blue: rollLanes('blue'), red: rollLanes('red') }, // Champion per lane; null when the roster ran out
+                rerolls: perLane(RANDOM_REROLLS),
+                locked: perLane(false),
+                bench: { blue: [], red: [] } // Champions a team rerolled away, free for its lanes to take
+            }
+        }
+    };
+}
+
+/**
+ * Replaces a lane's champion in a random draft with a new roll. The old champion goes
+ * to the team's bench.
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {number} slot - Lane index in LANES order
+ * @param {Array} roster - Champion names to roll from
+ * @param {Function} random - Returns a number in [0, 1) (defaults to Math.random)
+ * @returns {Object} - { ok: true, state, champion } or { ok: false, reason, message }
+ */
+export function rerollRandomPick(state, team, slot, roster, random = Math.random) {
+    const reason = getRandomSlotRejection(state, team, slot) ||
+        (state.randomDraft.rerolls[team][slot] > 0 ? null : REJECTION.NO_REROLLS);
+    if (reason) {
+        return rejected(reason);
+    }
+
+    const { picks, rerolls, bench } = state.randomDraft;
+    const champion = rollChampion(state, team, roster, getRolledChampions(state.randomDraft), random);
+    if (!champion) {
+        return rejected(REJECTION.NO_CHAMPIONS_LEFT);
+    }
+
+    const previous = picks[team][slot];
+    return {
+        ok: true,
+        state: {
+            ...state,
+            randomDraft: {
+                ...state.randomDraft,
+                picks: { ...picks, [team]: replaceAt(picks[team], slot, champion) },
+                rerolls: { ...rerolls, [team]: replaceAt(rerolls[team], slot, rerolls[team][slot] - 1) },
+                bench: { ...bench, [team]: previous ? [...bench[team], previous] : bench[team] }
+            }
+        },
+        champion
+    };
+}
+
+/**
+ * Swaps a lane's champion in a random draft with one from the team's bench
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {number} slot - Lane index in LANES order
+ * @param {string} champion - Champion on the team's bench
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function swapWithBench(state, team, slot, champion) {
+    const reason = getRandomSlotRejection(state, team, slot) ||
+        (state.randomDraft.bench[team].includes(champion) ? null : REJECTION.NOT_ON_BENCH);
+    if (reason) {
+        return rejected(reason);
+    }
+
+    const { picks, bench } = state.randomDraft;
+    const previous = picks[team][slot];
+    return {
+        ok: true,
+        state: {
+            ...state,
+            randomDraft: {
+                ...state.randomDraft,
+                picks: { ...picks, [team]: replaceAt(picks[team], slot, champion) },
+                bench: { ...bench, [team]: bench[team].map(name => (name === champion ? previous : name)).filter(Boolean) }
+            }
+        }
+    };
+}
+
+/**
+ * Locks in a lane's champion in a random draft. Once every lane of both teams is
+ * locked, the draft completes with the rolled champions.
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {number} slot - Lane index in LANES order
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function lockRandomPick(state, team, slot) {
+    const reason = getRandomSlotRejection(state, team, slot);
+    if (reason) {
+        return rejected(reason);
+    }
+
+    const { locked } = state.randomDraft;
+    const nextLocked = { ...locked, [team]: replaceAt(locked[team], slot, true) };
+    const nextState = { ...state, randomDraft: { ...state.randomDraft, locked: nextLocked } };
+
+    if ([...nextLocked.blue, ...nextLocked.red].every(Boolean)) {
+        return finishRandomDraft(nextState);
+    }
+    return { ok: true, state: nextState };
+}
+
+/**
+ * Completes a random draft with the champions currently rolled, locked in or not (e.g.
+ * when the timer runs out). Each champion stays in the lane it was rolled for; a lane
+ * whose champion can no longer be picked (disabled or Fearless-locked since) stays empty.
+ * @param {Object} state - Draft state
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function finishRandomDraft(state) {
+    if (!state.randomDraft) {
+        return rejected(getPhaseRejection(state) || REJECTION.DRAFT_NOT_ACTIVE);
+    }
+
+    const pickable = team => state.randomDraft.picks[team].map(champion =>
+        (champion && !getChampionRejection(state, champion, { team, action: 'pick' }) ? champion : null));
+    const result = applyPicksInOrder(state, { blue: pickable('blue'), red: pickable('red') });
+    if (!result.ok) {
+        return result;
+    }
+
+    // Picks are applied in lane order, so pick n belongs in lane n
+    const lanes = LANES.map((_, lane) => lane);
+    return { ok: true, state: { ...result.state, randomDraft: null, blueLanes: lanes, redLanes: [...lanes] } };
+}
+
+/**
+ * Applies each team's picks for the remaining steps in draft order
+ * @param {Object} picks - { blue, red } champion names by pick slot; null skips the slot
+ */
+function applyPicksInOrder(state, picks) {
+    let nextState = state;
+
+    for (let step = getCurrentStep(nextState); step; step = getCurrentStep(nextState)) {
+        const champion = picks[step.team][nextState[`${step.team}Picks`].length] || null;
+        const result = applyDraftAction(nextState, champion
+            ? { type: 'lock', team: step.team, champion }
+            : { type: 'skip', team: step.team });
+        if (!result.ok) {
+            return result;
+        }
+        nextState = result.state;
+    }
+
+    return { ok: true, state: nextState };
+}
+
+function rejected(reason) {
+    return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+}
+
+function replaceAt(list, index, value) {
+    return list.map((item, i) => (i === index ? value : item));
+}
+
+/**
+ * Draws a champion a team may pick that is not excluded, or null if none is left
+ */
+function rollChampion(state, team, roster, excluded, random) {
+    const bans = [...state.blueBans, ...state.redBans];
+    const candidates = roster.filter(champion => !excluded.includes(champion) && !bans.includes(champion) &&
+        !getChampionRejection(state, champion, { team, action: 'pick' }));
+    return candidates.length > 0 ? candidates[Math.floor(random() * candidates.length)] : null;
+}
+
+/**
+ * Lists every champion a random draft has handed out: the lanes' champions and both benches
+ */
+function getRolledChampions(randomDraft) {
+    const { picks, bench } = randomDraft;
+    return [...picks.blue, ...picks.red, ...bench.blue, ...bench.red].filter(Boolean);
+}
+
+function getRandomSlotRejection(state, team, slot) {
+    const phaseRejection = getPhaseRejection(state);
+    if (phaseRejection) return phaseRejection;
+    if (!state.randomDraft) return REJECTION.DRAFT_NOT_ACTIVE;
+
+    if (!['blue', 'red'].includes(team) || !Number.isInteger(slot) || slot < 0 || slot >= LANES.length) {
+        return REJECTION.INVALID_SLOT;
+    }
+    return state.randomDraft.locked[team][slot] ? REJECTION.SLOT_LOCKED : null;
+}
+
+function getPhaseRejection(state) {
+    if (state.phase === 'drafting') return null;
+    if (state.phase === 'paused') return REJECTION.DRAFT_PAUSED;
+    return state.phase === 'complete' ? REJECTION.DRAFT_COMPLETE : REJECTION.DRAFT_NOT_ACTIVE;
+}
+
+/**
+ * Lists the picks that keep a champion from a team's pick: every pick, or with mirror
+ * picks only the team's own
+ * @param {string|null} team - Team picking; null counts both teams' picks
+ */
+function getTakenPicks(state, team) {
+    if (state.mirrorPicks && team) {
+        return state[`${team}Picks`];
+    }
+    return [...state.bluePicks, ...state.redPicks];
+}
+
+function getChampionRejection(state, champion, step) {
+    if ((state.disabledChampions || []).includes(champion)) {
+        return REJECTION.CHAMPION_DISABLED;
+    }
+
+    if (getFearlessLock(state, champion, step)) {
+        return REJECTION.FEARLESS_LOCKED;
+    }
+
+    return null;
+}
+
+/**
+ * Applies a ban, pick or skip for the current step
+ * @param {Object} state - Draft state
+ * @param {Object} action - { type: 'lock' | 'skip', team, champion }
+ * @returns {Object} - { ok: true, state, step } or { ok: false, reason, message }
+ */
+export function applyDraftAction(state, action) {
+    const reason = validateDraftAction(state, action);
+    if (reason) {
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    const step = getCurrentStep(state);
+    const champion = action.type === 'skip' ? null : action.champion;
+    const listKey = `${step.team}${step.action === 'ban' ? 'Bans' : 'Picks'}`;
+    // Bans are recorded too so the host can switch the variant to count them later
+    const fearlessAdded = !!champion && state.fearlessEnabled;
+
+    const nextState = {
+        ...state,
+        [listKey]: [...state[listKey], champion],
+        actions: [...state.actions, {
+            turn: state.currentTurn,
+            team: step.team,
+            action: step.action,
+            champion,
+            timestamp: Date.now(),
+            fearlessAdded
+        }],
+        fearlessUsedChampions: fearlessAdded
+            ? [...state.fearlessUsedChampions, { champion, team: step.team, action: step.action, game: state.fearlessGame }]
+            : state.fearlessUsedChampions
+    };
+
+    return { ok: true, state: withTurn(nextState, state.currentTurn + 1), step };
+}
+
+/**
+ * Rolls back the most recent ban, pick or skip, reopening its turn
+ * @param {Object} state - Draft state
+ * @returns {Object} - { ok: true, state, action } or { ok: false, reason, message }
+ */
+export function undoLastAction(state) {
+    const action = state.actions[state.actions.length - 1];
+    if (!action || !['drafting', 'complete'].includes(state.phase)) {
+        const reason = REJECTION.NOTHING_TO_UNDO;
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    // Trades are agreed on the finished board, so it stays final once one was made
+    if (state.trades && state.trades.length > 0) {
+        const reason = REJECTION.PICKS_TRADED;
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    const listKey = `${action.team}${action.action === 'ban' ? 'Bans' : 'Picks'}`;
+
+    const previousState = {
+        ...state,
+        phase: 'drafting',
+        [listKey]: state[listKey].slice(0, -1),
+        actions: state.actions.slice(0, -1),
+        fearlessUsedChampions: action.fearlessAdded
+            ? state.fearlessUsedChampions.filter(entry => !(entry.champion === action.champion && entry.game === state.fearlessGame))
+            : state.fearlessUsedChampions
+    };
+
+    return { ok: true, state: withTurn(previousState, action.turn), action };
+}
+
+/**
+ * Swaps the champions in two of a team's lanes and pins the team's lane layout,
+ * e.g. when the captain drags a champion onto another lane
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {number[]} lanes - Two lane indexes in LANES order
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function swapLanes(state, team, lanes) {
+    const layout = getLaneOrder(state, team);
+    const [a, b] = Array.isArray(lanes) ? lanes : [];
+    const isLane = lane => Number.isInteger(lane) && lane >= 0 && lane < layout.length;
+    if (!['blue', 'red'].includes(team) || !isLane(a) || !isLane(b) || a === b ||
+        (layout[a] === null && layout[b] === null)) {
+        const reason = REJECTION.INVALID_LANES;
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    const swapped = [...layout];
+    [swapped[a], swapped[b]] = [layout[b], layout[a]];
+
+    return { ok: true, state: { ...state, [`${team}Lanes`]: swapped } };
+}
+
+/**
+ * Trades champions between two of a team's players after the draft. Players keep
+ * their lanes, so the two champions swap lanes.
+ * @param {Object} state - Draft state
+ * @param {string} team - 'blue' or 'red'
+ * @param {number[]} slots - Two lane indexes in LANES order
+ * @returns {Object} - { ok: true, state } or { ok: false, reason, message }
+ */
+export function swapPicks(state, team, slots) {
+    if (state.phase !== 'complete') {
+        const reason = REJECTION.DRAFT_NOT_COMPLETE;
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    const layout = getLaneOrder(state, team);
+    const [a, b] = Array.isArray(slots) ? slots : [];
+    if (!Number.isInteger(layout[a]) || !Number.isInteger(layout[b]) || a === b) {
+        const reason = REJECTION.INVALID_TRADE;
+        return { ok: false, reason, message: REJECTION_MESSAGES[reason] };
+    }
+
+    const result = swapLanes(state, team, [a, b]);
+    return {
+        ok: true,
+        state: { ...result.state, trades: [...(state.trades || []), { team, slots: [a, b] }] }
+    };
+}
+
+/**
+ * Points the state at a turn, completing the draft after the last step
+ */
+function withTurn(state, turn) {
+    const step = state.draftOrder[turn];
+
+    if (!step) {
+        return { ...state, currentTurn: turn, phase: 'complete', currentTeam: null, currentAction: null };
+    }
+
+    return { ...state, currentTurn: turn, currentTeam: step.team, currentAction: step.action };
+}
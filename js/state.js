@@ -3,6 +3,7 @@ export const state = {
     playerPool: [],
     ALL_ROLES: ['TOP', 'JGL', 'MID', 'ADC', 'SUP'],
     randomizerMode: '5man',
+    chaosLoadouts: localStorage.getItem('lolTeamRandomizerChaosLoadouts') === 'true', // Quick Play rolls a loadout per player
     teamAssignments: null // Stores { blueTeam: [...], redTeam: [...] } with role assignments
 };
 
@@ -23,6 +24,19 @@ export function getRandomizerMode() {
     return state.randomizerMode;
 }
 
+/**
+ * Turns the Quick Play chaos loadouts on or off, remembered across visits
+ * @param {boolean} enabled - Whether Quick Play rolls a role, champion, spells and keystone per player
+ */
+export function setChaosLoadouts(enabled) {
+    state.chaosLoadouts = enabled;
+    localStorage.setItem('lolTeamRandomizerChaosLoadouts', String(enabled));
+}
+
+export function getChaosLoadouts() {
+    return state.chaosLoadouts;
+}
+
 export function getAllRoles() {
     return state.ALL_ROLES;
 }
@@ -39,6 +53,33 @@ export function updatePlayerRoles(playerName, role) {
     }
 }
 
+/**
+ * Sets the champions a player declared they play
+ * @param {string} playerName - Player name
+ * @param {string[]} pool - Champion names
+ */
+export function updatePlayerPool(playerName, pool) {
+    const player = state.playerPool.find(p => p.name === playerName);
+    if (player) {
+        player.pool = pool;
+        saveChampionPools();
+    }
+}
+
+/**
+ * Gets the declared champion pools of the current players
+ * @returns {Object} - Player name to champion names, for players with a pool
+ */
+export function getChampionPools() {
+    const pools = {};
+    state.playerPool.forEach(player => {
+        if (player.pool && player.pool.length > 0) {
+            pools[player.name] = player.pool;
+        }
+    });
+    return pools;
+}
+
 export function removePlayer(playerName) {
     state.playerPool = state.playerPool.filter(p => p.name !== playerName);
     saveRolePreferences();
@@ -78,6 +119,39 @@ export function applyRolePreferences() {
     });
 }
 
+/**
+ * Saves declared champion pools to localStorage, alongside the role preferences
+ */
+function saveChampionPools() {
+    // Pools take a while to type, so players missing from this lobby keep theirs
+    const saved = loadChampionPools();
+    state.playerPool.forEach(player => {
+        if (player.pool && player.pool.length > 0) {
+            saved[player.name] = player.pool;
+        } else {
+            delete saved[player.name];
+        }
+    });
+    localStorage.setItem('lolTeamRandomizerChampionPools', JSON.stringify(saved));
+}
+
+function loadChampionPools() {
+    const saved = localStorage.getItem('lolTeamRandomizerChampionPools');
+    return saved ? JSON.parse(saved) : {};
+}
+
+/**
+ * Applies saved champion pools to the current player pool
+ */
+export function applyChampionPools() {
+    const savedPools = loadChampionPools();
+    state.playerPool.forEach(player => {
+        if (savedPools[player.name]) {
+            player.pool = savedPools[player.name];
+        }
+    });
+}
+
 /**
  * Saves team assignments for draft screen
  * @param {Object} assignments - { blueTeam: [...], redTeam: [...] }
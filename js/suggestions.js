@@ -0,0 +1,205 @@
+// --- DRAFT SUGGESTIONS ---
+// Ranks champions for the current ban or pick from the editable files in data/suggestions/.
+// Everything runs in the browser, so suggestions work without any network access.
+
+import { LANES, CHAMPION_POSITIONS, inferLanes } from './lanes.mjs';
+import { isInChampionPool } from './rules.mjs';
+
+const DATA_FILES = ['tiers', 'counters', 'synergies', 'damage'];
+const TIER_SCORES = { S: 3, A: 2, B: 1, C: 0 };
+const DEFAULT_LIMIT = 5;
+
+let dataPromise = null;
+
+/**
+ * Loads the suggestion data files once. A missing or broken file only disables its part
+ * of the ranking.
+ * @returns {Promise<Object>} - { tiers, counters, synergies, damage }
+ */
+export function loadSuggestionData() {
+    if (!dataPromise) {
+        dataPromise = Promise.all(DATA_FILES.map(async name => {
+            try {
+                const response = await fetch(`data/suggestions/${name}.json`);
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch ${name}.json: ${response.status}`);
+                }
+                return [name, await response.json()];
+            } catch (error) {
+                console.warn(`Suggestion data ${name}.json unavailable:`, error.message);
+                return [name, {}];
+            }
+        })).then(Object.fromEntries);
+    }
+    return dataPromise;
+}
+
+function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Picks the tier list for a patch: the entry for its major.minor version, else the newest one
+ */
+function getTierList(tiers, patch) {
+    const versions = Object.keys(tiers);
+    if (versions.length === 0) return null;
+
+    const shortPatch = patch ? patch.split('.').slice(0, 2).join('.') : null;
+    const version = versions.includes(shortPatch) ? shortPatch : versions.sort(compareVersions).at(-1);
+    return { version, tiers: tiers[version] };
+}
+
+function getTier(tierList, champion) {
+    if (!tierList) return null;
+    return Object.keys(tierList.tiers).find(tier => tierList.tiers[tier].includes(champion)) || null;
+}
+
+function getDamageType(damage, champion, tags) {
+    if ((damage.AP || []).includes(champion)) return 'AP';
+    if ((damage.AD || []).includes(champion)) return 'AD';
+    return tags.includes('Mage') ? 'AP' : 'AD';
+}
+
+function counters(data, champion, other) {
+    return (data.counters[champion] || []).includes(other);
+}
+
+function pairsWith(data, champion, other) {
+    return (data.synergies[champion] || []).includes(other) || (data.synergies[other] || []).includes(champion);
+}
+
+function getPoolOwners(pools, champion) {
+    return Object.keys(pools).filter(player => isInChampionPool(pools[player], champion));
+}
+
+function scorePick(champion, context) {
+    const { data, allyPicks, enemyPicks, allyPools, owner, tagsOf } = context;
+    let score = 0;
+    const reasons = [];
+
+    enemyPicks.forEach(enemy => {
+        if (counters(data, champion, enemy)) {
+            score += 2;
+            reasons.push(`counters enemy ${enemy}`);
+        }
+        if (counters(data, enemy, champion)) {
+            score -= 2;
+        }
+    });
+
+    allyPicks.forEach(ally => {
+        if (pairsWith(data, champion, ally)) {
+            score += 2;
+            reasons.push(`pairs with ${ally}`);
+        }
+    });
+
+    // Prefer champions that fit a lane the team has not filled yet
+    const positions = CHAMPION_POSITIONS[champion];
+    if (positions && allyPicks.length > 0) {
+        const lane = LANES[inferLanes([...allyPicks, champion]).indexOf(allyPicks.length)];
+        if (positions.includes(lane)) {
+            score += 1;
+            reasons.push(`fills ${lane}`);
+        } else {
+            score -= 3;
+        }
+    }
+
+    const allyDamage = allyPicks.map(ally => getDamageType(data.damage, ally, tagsOf(ally)));
+    const damageType = getDamageType(data.damage, champion, tagsOf(champion));
+    if (allyDamage.length >= 2 && allyDamage.every(type => type !== damageType)) {
+        score += 1.5;
+        reasons.push(`completes ${damageType} damage`);
+    }
+
+    const poolOwners = owner ? getPoolOwners(allyPools, champion).filter(player => player === owner)
+        : getPoolOwners(allyPools, champion);
+    if (poolOwners.length > 0) {
+        score += owner ? 2 : 1;
+        reasons.push(`in ${poolOwners[0]}'s pool`);
+    }
+
+    return { score, reasons };
+}
+
+function scoreBan(champion, context) {
+    const { data, allyPicks, enemyPicks, enemyPools } = context;
+    let score = 0;
+    const reasons = [];
+
+    allyPicks.forEach(ally => {
+        if (counters(data, champion, ally)) {
+            score += 2;
+            reasons.push(`counters your ${ally}`);
+        }
+    });
+
+    enemyPicks.forEach(enemy => {
+        if (pairsWith(data, champion, enemy)) {
+            score += 1.5;
+            reasons.push(`pairs with enemy ${enemy}`);
+        }
+    });
+
+    const poolOwners = getPoolOwners(enemyPools, champion);
+    if (poolOwners.length > 0) {
+        score += 1;
+        reasons.push(`in ${poolOwners[0]}'s pool`);
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Ranks champions for a team's current ban or pick
+ * @param {Object} state - Draft state
+ * @param {Object} options - {
+ *   team: 'blue' | 'red' acting team,
+ *   candidates: champion names that may be chosen (already without picked, banned, Fearless-locked and disabled ones),
+ *   data: suggestion data from loadSuggestionData,
+ *   tagsOf: function returning a champion's Data Dragon tags,
+ *   patch: patch version used to choose the tier list (optional),
+ *   allyPools / enemyPools: player name to champion pool for each side (optional),
+ *   owner: player who makes the pick, whose pool counts most (optional),
+ *   limit: number of suggestions (default 5)
+ * }
+ * @returns {Array} - [{ champion, score, reasons }] best first; only champions with a positive score
+ */
+export function getSuggestions(state, options) {
+    const { team, candidates, data, tagsOf, patch = null, allyPools = {}, enemyPools = {}, owner = null, limit = DEFAULT_LIMIT } = options;
+    const enemyTeam = team === 'blue' ? 'red' : 'blue';
+    const tierList = getTierList(data.tiers || {}, patch);
+
+    const context = {
+        data: { counters: data.counters || {}, synergies: data.synergies || {}, damage: data.damage || {} },
+        allyPicks: state[`${team}Picks`].filter(Boolean),
+        enemyPicks: state[`${enemyTeam}Picks`].filter(Boolean),
+        allyPools,
+        enemyPools,
+        owner,
+        tagsOf
+    };
+    const scoreChampion = state.currentAction === 'ban' ? scoreBan : scorePick;
+
+    return candidates
+        .map(champion => {
+            const { score, reasons } = scoreChampion(champion, context);
+            const tier = getTier(tierList, champion);
+            const tierScore = tier ? TIER_SCORES[tier] || 0 : 0;
+            if (tierScore >= TIER_SCORES.A) {
+                reasons.unshift(`${tier} tier on ${tierList.version}`);
+            }
+            return { champion, score: score + tierScore, reasons };
+        })
+        .filter(suggestion => suggestion.score > 0 && suggestion.reasons.length > 0)
+        .sort((a, b) => b.score - a.score || a.champion.localeCompare(b.champion))
+        .slice(0, limit);
+}
@@ -1,5 +1,5 @@
 // --- UI RENDERING AND DOM MANIPULATION ---
-import { getPlayerPool, getAllRoles, updatePlayerRoles, removePlayer } from './state.js';
+import { getPlayerPool, getAllRoles, updatePlayerRoles, updatePlayerPool, removePlayer } from './state.js';
 
 /**
  * Shows the specified stage and hides others
@@ -81,9 +81,18 @@ export function renderConfigUI() {
         removeBtn.dataset.playerName = player.name;
         removeBtn.innerHTML = '&times;';
 
+        const poolInput = document.createElement('input');
+        poolInput.type = 'text';
+        poolInput.className = 'player-pool-input';
+        poolInput.dataset.playerName = player.name;
+        poolInput.placeholder = 'Champion pool (optional), e.g. Ahri, Syndra, Orianna';
+        poolInput.autocomplete = 'off';
+        poolInput.value = (player.pool || []).join(', ');
+
         row.appendChild(nameSpan);
         row.appendChild(roleSelector);
         row.appendChild(removeBtn);
+        row.appendChild(poolInput);
         fragment.appendChild(row);
     });
 
@@ -115,4 +124,12 @@ export function setupConfigUIEventListeners() {
             renderConfigUI();
         }
     });
+
+    playerConfigContainer.addEventListener('change', (e) => {
+        const poolInput = e.target.closest('.player-pool-input');
+        if (poolInput) {
+            const pool = poolInput.value.split(',').map(name => name.trim()).filter(Boolean);
+            updatePlayerPool(poolInput.dataset.playerName, pool);
+        }
+    });
 }
\ No newline at end of file
@@ -0,0 +1,20 @@
+// scripts/refresh-champions.js
+// Downloads the latest champion list and portraits from Data Dragon into the local
+// snapshot the server serves. Run while online: npm run refresh-champions
+const ChampionStore = require('../champion-store');
+
+const previous = ChampionStore.loadChampions();
+console.log(`Refreshing champion data in ${ChampionStore.DATA_DIR}...`);
+
+ChampionStore.refreshChampions((done, total) => {
+    if (done % 25 === 0 || done === total) {
+        console.log(`Saved ${done}/${total} portraits`);
+    }
+}).then(snapshot => {
+    const from = previous ? ` (was ${previous.version})` : '';
+    console.log(`Champion data updated to patch ${snapshot.version}${from}: ${snapshot.champions.length} champions`);
+    console.log('Restart the server to use the new data.');
+}).catch(error => {
+    console.error('Failed to refresh champion data:', error.message);
+    process.exit(1);
+});
@@ -3,6 +3,8 @@ const express = require('express');
 const http = require('http');
 const path = require('path');
 const { WebSocketServer } = require('ws');
+const DraftStore = require('./draft-store');
+const ChampionStore = require('./champion-store');
 
 const app = express();
 const port = process.env.PORT || 7778;
@@ -10,44 +12,211 @@ const port = process.env.PORT || 7778;
 // --- Serve Static Frontend Files ---
 app.use(express.static(path.join(__dirname, '/')));
 
+// --- Draft History API ---
+app.get('/api/drafts', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(DraftStore.listDrafts({ limit, offset, roomCode: req.query.room || null }));
+});
+
+app.get('/api/drafts/:id', (req, res) => {
+    const draft = DraftStore.getDraft(req.params.id);
+    if (!draft) {
+        res.status(404).json({ error: 'Draft not found' });
+        return;
+    }
+    res.json(draft);
+});
+
+// --- Champion Data API ---
+// Serves the local champion snapshot (see champion-store.js); 404 until one has been downloaded
+app.get('/api/champions', (req, res) => {
+    const data = ChampionStore.getChampionData();
+    if (!data) {
+        res.status(404).json({ error: 'No champion data stored on this server' });
+        return;
+    }
+    res.json({
+        version: data.version,
+        updatedAt: data.updatedAt,
+        champions: data.champions.map(champ => ({ ...champ, image: `/assets/champions/${champ.id}.png` }))
+    });
+});
+
+app.get('/assets/champions/:id.png', (req, res) => {
+    const filePath = ChampionStore.getPortraitPath(req.params.id);
+    if (!filePath) {
+        res.status(404).end();
+        return;
+    }
+    res.sendFile(filePath, { maxAge: '1d' });
+});
+
+// --- Patch API ---
+app.get('/api/patches', async (req, res) => {
+    res.json(await listPatches());
+});
+
 // --- Server Setup ---
 const server = http.createServer(app);
 
 // --- Draft Game State ---
-// Tournament draft order (modern LoL pro play)
-const DRAFT_ORDER = [
-    // Ban Phase 1 (6 bans total)
-    { team: 'blue', action: 'ban' },
-    { team: 'red', action: 'ban' },
-    { team: 'blue', action: 'ban' },
-    { team: 'red', action: 'ban' },
-    { team: 'blue', action: 'ban' },
-    { team: 'red', action: 'ban' },
-
-    // Pick Phase 1 (6 picks total)
-    { team: 'blue', action: 'pick' },
-    { team: 'red', action: 'pick' },
-    { team: 'red', action: 'pick' },
-    { team: 'blue', action: 'pick' },
-    { team: 'blue', action: 'pick' },
-    { team: 'red', action: 'pick' },
-
-    // Ban Phase 2 (4 bans total)
-    { team: 'red', action: 'ban' },
-    { team: 'blue', action: 'ban' },
-    { team: 'red', action: 'ban' },
-    { team: 'blue', action: 'ban' },
-
-    // Pick Phase 2 (4 picks total)
-    { team: 'red', action: 'pick' },
-    { team: 'blue', action: 'pick' },
-    { team: 'blue', action: 'pick' },
-    { team: 'red', action: 'pick' }
-];
+// Draft formats and rules live in ES modules shared with the browser; they are loaded before the server starts listening
+let DraftFormats = null;
+let DraftRules = null;
+let DraftLanes = null;
 
 const rooms = {};
 const roomCleanupTimers = new Map();
 const ROOM_CLEANUP_DELAY = 120000; // 120 seconds
+const DEFAULT_TURN_TIMER_SECONDS = 30;
+const MAX_TURN_TIMER_SECONDS = 300;
+const SERIES_LENGTHS = [1, 3, 5];
+const MAX_TEAM_SIZE = 5; // Captain plus four teammates
+const ROLE_ORDER = ['TOP', 'JGL', 'MID', 'ADC', 'SUP']; // Order of the pick slots on the draft board
+const TRADE_PHASE_SECONDS = 60; // How long teammates can swap champions after the last pick
+
+// --- Champion Rosters ---
+// Each room is pinned to one patch, so every client shows the same champions and the
+// server only accepts champions from that patch
+const DDRAGON_URL = 'https://ddragon.leagueoflegends.com';
+const PATCH_PATTERN = /^\d+\.\d+\.\d+$/;
+const PATCH_LIST_LENGTH = 20;
+const PATCH_LIST_CACHE_MS = 60 * 60 * 1000; // Re-check Data Dragon for new patches hourly
+
+const championRosters = new Map(); // Patch version -> Promise of [{ id, name, tags, info, image }]
+let patchListCache = null; // { versions, fetchedAt }
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Lists recent patches, newest first: the server's local champion data plus Data Dragon
+ * @returns {Promise<Object>} - { local, versions } where local is the local snapshot's patch or null
+ */
+async function listPatches() {
+    const local = ChampionStore.getChampionData()?.version || null;
+
+    if (!patchListCache || Date.now() - patchListCache.fetchedAt > PATCH_LIST_CACHE_MS) {
+        try {
+            const versions = await fetchJson(`${DDRAGON_URL}/api/versions.json`);
+            patchListCache = { versions: versions.slice(0, PATCH_LIST_LENGTH), fetchedAt: Date.now() };
+        } catch (error) {
+            console.error('Failed to load patch list:', error.message);
+        }
+    }
+
+    const versions = patchListCache ? [...patchListCache.versions] : [];
+    if (local && !versions.includes(local)) {
+        versions.unshift(local);
+    }
+    return { local, versions };
+}
+
+/**
+ * Loads a patch's champion roster: the local snapshot when it is that patch, otherwise
+ * Data Dragon. Rosters are cached per patch; a failed load is retried next time.
+ * @param {string} patch - Patch version (e.g. '14.23.1')
+ * @returns {Promise<Array>} - [{ id, name, tags, info, image }]
+ */
+function getChampionRoster(patch) {
+    if (!championRosters.has(patch)) {
+        const loading = (async () => {
+            const localData = ChampionStore.getChampionData();
+            if (localData && localData.version === patch) {
+                return localData.champions.map(champ => ({ ...champ, image: `/assets/champions/${champ.id}.png` }));
+            }
+
+            const championsData = await fetchJson(`${DDRAGON_URL}/cdn/${patch}/data/en_US/champion.json`);
+            return Object.values(championsData.data).map(champ => ({
+                id: champ.id,
+                name: champ.name,
+                tags: champ.tags,
+                info: champ.info,
+                image: `${DDRAGON_URL}/cdn/${patch}/img/champion/${champ.image.full}`
+            }));
+        })();
+
+        championRosters.set(patch, loading);
+        loading.catch(() => championRosters.delete(patch));
+    }
+    return championRosters.get(patch);
+}
+
+/**
+ * Picks a new room's patch and loads its roster: the host's choice, else the local
+ * snapshot's patch, else the latest patch on Data Dragon
+ * @param {string} requestedPatch - Patch chosen by the host (optional)
+ * @returns {Promise<Object>} - { patch, champions }, both null when no roster can be
+ *                              loaded and the host did not ask for a patch
+ * @throws {Error} - With a message for the host when their patch cannot be used
+ */
+async function resolveRoomRoster(requestedPatch) {
+    if (requestedPatch) {
+        if (typeof requestedPatch !== 'string' || !PATCH_PATTERN.test(requestedPatch)) {
+            throw new Error('Invalid patch version');
+        }
+        try {
+            return { patch: requestedPatch, champions: await getChampionRoster(requestedPatch) };
+        } catch (error) {
+            console.error(`Failed to load champions for patch ${requestedPatch}:`, error.message);
+            throw new Error(`Could not load the champion list for patch ${requestedPatch}`);
+        }
+    }
+
+    try {
+        const patch = ChampionStore.getChampionData()?.version || (await listPatches()).versions[0];
+        if (!patch) {
+            throw new Error('No patch available');
+        }
+        return { patch, champions: await getChampionRoster(patch) };
+    } catch (error) {
+        // Offline without local champion data: the room accepts any champion name, as before pinning
+        console.error('No champion roster available, creating the room without a pinned patch:', error.message);
+        return { patch: null, champions: null };
+    }
+}
+
+/**
+ * Returns the champion pool the current pick must come from in a pool-restricted room
+ * @param {string} owner - Player making the pick (defaults to the current turn's owner)
+ * @returns {Object|null} - { owner, pool }, or null when the pick is not restricted
+ */
+function getRestrictedPool(room, owner = getTurnOwner(room)) {
+    if (!room.poolRestricted) return null;
+
+    const pool = owner ? room.championPools[owner] : null;
+    // Players who declared no pool may pick anything
+    return pool ? { owner, pool } : null;
+}
+
+/**
+ * Checks a champion against the current pick owner's pool in a pool-restricted room
+ * @returns {string|null} - Error message, or null if the champion may be used
+ */
+function getPoolError(room, champion, owner = getTurnOwner(room)) {
+    const restricted = getRestrictedPool(room, owner);
+    if (!restricted || !champion || DraftRules.isInChampionPool(restricted.pool, champion)) {
+        return null;
+    }
+    return `${champion} is not in ${restricted.owner}'s champion pool`;
+}
+
+/**
+ * Checks a champion against the room's pinned roster
+ * @returns {string|null} - Error message, or null if the champion may be used
+ */
+function getRosterError(room, champion) {
+    if (!room.champions || !champion || room.champions.some(champ => champ.name === champion)) {
+        return null;
+    }
+    return `${champion} is not available on patch ${room.patch}`;
+}
 
 function generateRoomCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed ambiguous chars
@@ -58,24 +227,55 @@ function generateRoomCode() {
     return code;
 }
 
-function createNewRoom(roomId) {
+/**
+ * Resolves a host's format choice into a format object
+ * @param {string} formatId - Built-in format id or 'custom'
+ * @param {Array} customSteps - Step list when formatId is 'custom'
+ * @returns {Object} - { format } or { error }
+ */
+function resolveDraftFormat(formatId, customSteps) {
+    if (formatId === 'custom') {
+        return DraftFormats.createCustomFormat(customSteps);
+    }
+
+    const format = DraftFormats.getDraftFormat(formatId || DraftFormats.DEFAULT_FORMAT_ID);
+    if (!format) {
+        return { error: 'Unknown draft format' };
+    }
+    return { format };
+}
+
+function createNewRoom(roomId, draftFormat, roster) {
     rooms[roomId] = {
         id: roomId,
         draftState: {
-            phase: 'idle',
-            currentTurn: 0,
-            blueBans: [],
-            redBans: [],
-            bluePicks: [],
-            redPicks: [],
-            currentTeam: 'blue',
-            currentAction: 'ban',
-            fearlessUsedChampions: []
+            ...DraftRules.createDraftState(draftFormat),
+            turnDeadline: null,  // Epoch ms when the current turn expires
+            turnDuration: null,  // Length of the current turn in ms
+            hover: null          // { team, champion } the acting captain has selected but not locked
         },
+        draftFormat: draftFormat, // { id, name, steps } chosen by the host
+        patch: roster.patch,         // Patch version the room is pinned to (null if no roster could be loaded)
+        champions: roster.champions, // Authoritative roster for that patch: [{ id, name, tags, info, image }]
         fearlessDraftEnabled: false,
-        fearlessUsedChampions: new Set(),
-        bluePlayer: null,    // WebSocket connection
-        redPlayer: null,     // WebSocket connection
+        fearlessVariant: DraftRules.DEFAULT_FEARLESS_VARIANT,
+        fearlessHistory: [],    // { champion, team, action, game } with team as a series team ('team1'/'team2')
+        fearlessGamesPlayed: 0, // Completed drafts in the Fearless session
+        turnTimerSeconds: DEFAULT_TURN_TIMER_SECONDS, // 0 disables the turn timer
+        disabledChampions: [], // Champion names the host has taken out of every draft in the room
+        championPools: {},     // Player name -> champions the player declared they play
+        poolRestricted: false, // Whether picks must come from the pick owner's champion pool
+        blindConflictRule: DraftRules.DEFAULT_BLIND_CONFLICT_RULE, // 'repick' or 'mirror' for champions both teams pick blind
+        blind: null,         // Hidden picks of a blind draft: { picks: { blue, red }, taken: { blue, red } }
+        turnTimer: null,     // Pending timeout for the current turn
+        pendingUndo: null,   // { team, actionCount } waiting for the other captain or the host
+        trade: null,         // Open trade phase: { deadline, proposals, nextId, timer }
+        series: createSeries(1),
+        archivedDraftId: null, // History store id of the current draft once it has completed
+        bluePlayer: null,    // WebSocket connection of the blue captain
+        redPlayer: null,     // WebSocket connection of the red captain
+        blueTeammates: [],   // Other seated blue players: { ws, name }
+        redTeammates: [],    // Other seated red players: { ws, name }
         bluePlayerName: null,
         redPlayerName: null,
         blueTeamRoles: null, // Map of playerName -> role for blue team
@@ -90,6 +290,8 @@ function createNewRoom(roomId) {
 
 function deleteRoom(roomId) {
     if (rooms[roomId]) {
+        clearTurnTimer(rooms[roomId]);
+        clearTradePhase(rooms[roomId]);
         delete rooms[roomId];
         console.log(`Deleted room: ${roomId}`);
     }
@@ -125,12 +327,22 @@ function cancelRoomCleanup(roomId) {
 }
 
 function broadcastToRoom(room, message, excludeWs = null) {
-    const messageStr = JSON.stringify(message);
+    // During a blind draft each team only sees its own hidden picks, so every side gets its own copy
+    const messageFor = team => JSON.stringify(room.blind && message.draftState
+        ? { ...message, draftState: { ...message.draftState, blindPicks: getBlindPicksView(room, team) } }
+        : message);
+    const messageStr = messageFor(null);
+    const teamMessages = room.blind && message.draftState
+        ? { blue: messageFor('blue'), red: messageFor('red') }
+        : { blue: messageStr, red: messageStr };
+
     // Broadcast to team players
-    [room.bluePlayer, room.redPlayer].forEach(player => {
-        if (player && player !== excludeWs && player.readyState === 1) {
-            player.send(messageStr);
-        }
+    ['blue', 'red'].forEach(team => {
+        [room[`${team}Player`], ...getTeammates(room, team).map(p => p.ws)].forEach(player => {
+            if (player && player !== excludeWs && player.readyState === 1) {
+                player.send(teamMessages[team]);
+            }
+        });
     });
     // Broadcast to spectators
     room.spectators.forEach(spectator => {
@@ -140,91 +352,871 @@ function broadcastToRoom(room, message, excludeWs = null) {
     });
 }
 
+/**
+ * Creates an empty best-of series. The two teams are tracked as 'team1' and 'team2'
+ * so results survive side swaps between games; team1 starts on blue side.
+ */
+function createSeries(bestOf) {
+    return {
+        bestOf: bestOf,
+        sides: { blue: 'team1', red: 'team2' },
+        wins: { team1: 0, team2: 0 },
+        games: [],           // { game, blueTeam, redTeam, winner, format, blueBans, redBans, bluePicks, redPicks }
+        gameRecorded: false, // Whether the winner of the latest completed draft has been entered
+        awaitingSide: null   // Series team that lost the last game and still has to choose a side
+    };
+}
+
+function getSeriesWinner(series) {
+    const winsNeeded = Math.ceil(series.bestOf / 2);
+    return Object.keys(series.wins).find(team => series.wins[team] >= winsNeeded) || null;
+}
+
+function getSideOf(series, team) {
+    return series.sides.blue === team ? 'blue' : 'red';
+}
+
+/**
+ * Returns the series to send to clients, described by the teams' current sides
+ */
+function getSeriesSnapshot(room) {
+    const { series } = room;
+    const winner = getSeriesWinner(series);
+
+    return {
+        bestOf: series.bestOf,
+        gameNumber: winner ? series.games.length : series.games.length + 1,
+        wins: { blue: series.wins[series.sides.blue], red: series.wins[series.sides.red] },
+        games: series.games.map(game => ({
+            game: game.game,
+            format: game.format,
+            winner: game.winner === game.blueTeam ? 'blue' : 'red',
+            blueBans: game.blueBans,
+            redBans: game.redBans,
+            bluePicks: game.bluePicks,
+            redPicks: game.redPicks
+        })),
+        gameRecorded: series.gameRecorded,
+        awaitingSide: series.awaitingSide ? getSideOf(series, series.awaitingSide) : null,
+        winner: winner ? getSideOf(series, winner) : null
+    };
+}
+
+/**
+ * Checks whether a finished series draft still needs its winner entered
+ */
+function isAwaitingResult(room) {
+    const { series } = room;
+    return series.bestOf > 1 && !getSeriesWinner(series) && !series.gameRecorded &&
+        room.draftState.phase === 'complete';
+}
+
+/**
+ * Returns which seat a connection holds in a room, if any
+ */
+function getSeatTeam(room, ws) {
+    if (room.bluePlayer === ws || room.blueTeammates.some(p => p.ws === ws)) return 'blue';
+    if (room.redPlayer === ws || room.redTeammates.some(p => p.ws === ws)) return 'red';
+    if (room.spectators.some(s => s.ws === ws)) return 'spectator';
+    return null;
+}
+
+function isCaptain(room, ws) {
+    return !!ws && (room.bluePlayer === ws || room.redPlayer === ws);
+}
+
+function getTeammates(room, team) {
+    return team === 'blue' ? room.blueTeammates : room.redTeammates;
+}
+
+/**
+ * Returns the name a seated player goes by on their team
+ */
+function getSeatName(room, ws) {
+    if (room.bluePlayer === ws) return room.bluePlayerName;
+    if (room.redPlayer === ws) return room.redPlayerName;
+    const teammate = [...room.blueTeammates, ...room.redTeammates].find(p => p.ws === ws);
+    return teammate ? teammate.name : null;
+}
+
+/**
+ * Checks whether a player can take a seat on a team
+ * @returns {string|null} - Error message, or null if there is a seat
+ */
+function getSeatError(room, team, name) {
+    const teamLabel = team === 'blue' ? 'Blue' : 'Red';
+    const teammates = getTeammates(room, team);
+
+    if (room[`${team}Player`] && teammates.length >= MAX_TEAM_SIZE - 1) {
+        return `${teamLabel} team is full`;
+    }
+    // Names link players to their role assignments, so they must be unique on a team
+    if (room[`${team}PlayerName`] === name || teammates.some(p => p.name === name)) {
+        return `${teamLabel} team already has a player named ${name}`;
+    }
+    return null;
+}
+
+/**
+ * Seats a player in the team's empty captain seat, or next to the captain as a teammate.
+ * Call getSeatError first.
+ */
+function seatPlayer(room, ws, team, name) {
+    if (!room[`${team}Player`]) {
+        room[`${team}Player`] = ws;
+        room[`${team}PlayerName`] = name;
+        return;
+    }
+    getTeammates(room, team).push({ ws, name });
+}
+
+/**
+ * Frees a connection's seat (or spectator spot). When a captain leaves, the first
+ * teammate takes over the captain seat.
+ * @returns {Object|null} - { ws, team } of the promoted teammate, if any
+ */
+function unseatPlayer(room, ws) {
+    room.spectators = room.spectators.filter(s => s.ws !== ws);
+    room.blueTeammates = room.blueTeammates.filter(p => p.ws !== ws);
+    room.redTeammates = room.redTeammates.filter(p => p.ws !== ws);
+
+    for (const team of ['blue', 'red']) {
+        if (room[`${team}Player`] !== ws) continue;
+
+        const [next, ...rest] = getTeammates(room, team);
+        room[`${team}Player`] = next ? next.ws : null;
+        room[`${team}PlayerName`] = next ? next.name : null;
+        room[`${team}Teammates`] = rest;
+        return next ? { ws: next.ws, team } : null;
+    }
+    return null;
+}
+
+/**
+ * Finds the player who makes one of a team's picks. Picks go to the team's players in
+ * role order (the first pick to the first assigned role), and each pick is shown in its
+ * owner's lane (see pinOwnedPicks).
+ * @returns {string|null} - Player name, or null when no role is assigned to the slot
+ */
+function getPickOwner(room, team, slot) {
+    const roles = team === 'blue' ? room.blueTeamRoles : room.redTeamRoles;
+    if (!roles) return null;
+
+    const players = ROLE_ORDER
+        .map(role => Object.keys(roles).find(name => roles[name] === role))
+        .filter(Boolean);
+    return players[slot] || null;
+}
+
+/**
+ * Returns the player who owns the current pick, or null for bans (the captain's)
+ */
+function getTurnOwner(room) {
+    const step = DraftRules.getCurrentStep(room.draftState);
+    if (!step || step.action !== 'pick') return null;
+    return getPickOwner(room, step.team, room.draftState[`${step.team}Picks`].length);
+}
+
+/**
+ * Checks that a connection may act on the current step. The captain bans and can
+ * act on any pick; other players only make the pick for their own role.
+ * @returns {string|null} - Error message, or null if the player may act
+ */
+function getTurnPermissionError(room, ws) {
+    const step = DraftRules.getCurrentStep(room.draftState);
+    // Wrong team or no step is left for the rules engine to reject
+    if (!step || getSeatTeam(room, ws) !== step.team || isCaptain(room, ws)) return null;
+
+    if (step.action === 'ban') {
+        return 'Your captain handles bans';
+    }
+
+    const owner = getTurnOwner(room);
+    if (owner !== getSeatName(room, ws)) {
+        return owner ? `This pick belongs to ${owner}` : 'Your captain makes this pick';
+    }
+    return null;
+}
+
+/**
+ * Tells a seated player which side and seat they hold now
+ */
+function sendSeatUpdate(room, ws, team) {
+    if (ws.readyState !== 1) return;
+
+    ws.send(JSON.stringify({
+        type: 'team_switched',
+        team: team,
+        isHost: ws === room.host,
+        isCaptain: isCaptain(room, ws),
+        draftState: getDraftStateSnapshot(room, team),
+        bluePlayerName: room.bluePlayerName,
+        redPlayerName: room.redPlayerName,
+        blueTeammates: room.blueTeammates.map(p => p.name),
+        redTeammates: room.redTeammates.map(p => p.name),
+        spectators: room.spectators.map(s => s.name)
+    }));
+}
+
+/**
+ * Moves both teams (with their names and role assignments) to the opposite side
+ * and tells each player which side they are on now
+ */
+function swapSides(room) {
+    [room.bluePlayer, room.redPlayer] = [room.redPlayer, room.bluePlayer];
+    [room.bluePlayerName, room.redPlayerName] = [room.redPlayerName, room.bluePlayerName];
+    [room.blueTeammates, room.redTeammates] = [room.redTeammates, room.blueTeammates];
+    [room.blueTeamRoles, room.redTeamRoles] = [room.redTeamRoles, room.blueTeamRoles];
+    room.series.sides = { blue: room.series.sides.red, red: room.series.sides.blue };
+
+    ['blue', 'red'].forEach(team => {
+        [room[`${team}Player`], ...getTeammates(room, team).map(p => p.ws)]
+            .filter(Boolean)
+            .forEach(player => sendSeatUpdate(room, player, team));
+    });
+
+    room.spectators.forEach(spectator => {
+        if (spectator.ws.readyState === 1) {
+            spectator.ws.send(JSON.stringify({
+                type: 'room_update',
+                bluePlayerName: room.bluePlayerName,
+                redPlayerName: room.redPlayerName,
+                blueTeammates: room.blueTeammates.map(p => p.name),
+                redTeammates: room.redTeammates.map(p => p.name),
+                spectators: room.spectators.map(s => s.name)
+            }));
+        }
+    });
+
+    broadcastToRoom(room, {
+        type: 'role_assignments_updated',
+        blueTeamRoles: room.blueTeamRoles,
+        redTeamRoles: room.redTeamRoles,
+        turnOwner: getTurnOwner(room)
+    });
+}
+
+/**
+ * Returns what a player needs to set up a room they create or join: its settings, roster,
+ * seats and draft state. Callers add the recipient's team, host and captain flags.
+ * @param {string} viewerTeam - Team of the recipient, who may see that team's blind picks
+ */
+function getRoomSnapshot(room, viewerTeam) {
+    return {
+        roomCode: room.id,
+        draftState: getDraftStateSnapshot(room, viewerTeam),
+        fearlessDraftEnabled: room.fearlessDraftEnabled,
+        fearlessVariant: room.fearlessVariant,
+        turnTimerSeconds: room.turnTimerSeconds,
+        series: getSeriesSnapshot(room),
+        draftFormat: room.draftFormat,
+        patch: room.patch,
+        champions: room.champions,
+        championPools: room.championPools,
+        poolRestricted: room.poolRestricted,
+        blindConflictRule: room.blindConflictRule,
+        bluePlayerName: room.bluePlayerName,
+        redPlayerName: room.redPlayerName,
+        blueTeamRoles: room.blueTeamRoles,
+        redTeamRoles: room.redTeamRoles,
+        blueTeammates: room.blueTeammates.map(p => p.name),
+        redTeammates: room.redTeammates.map(p => p.name),
+        spectators: room.spectators.map(s => s.name)
+    };
+}
+
+/**
+ * Returns the draft state to send to clients, stamped with the server clock
+ * so clients can correct the turn countdown for clock skew
+ * @param {string} viewerTeam - Team of the recipient, who may see that team's blind picks (optional)
+ */
+function getDraftStateSnapshot(room, viewerTeam = null) {
+    return {
+        ...room.draftState,
+        blindPicks: room.blind ? getBlindPicksView(room, viewerTeam) : null,
+        randomControllers: room.draftState.randomDraft ? getRandomControllers(room) : null,
+        turnOwner: getTurnOwner(room),
+        trade: room.trade ? { deadline: room.trade.deadline, proposals: room.trade.proposals } : null,
+        serverTime: Date.now()
+    };
+}
+
+/**
+ * Returns the room's Fearless history with each team given as its current side
+ */
+function getFearlessEntriesBySide(room) {
+    return room.fearlessHistory.map(entry => ({ ...entry, team: getSideOf(room.series, entry.team) }));
+}
+
+/**
+ * Clears the Fearless history so the next draft is game 1 of a new session
+ */
+function resetFearlessSession(room) {
+    room.fearlessHistory = [];
+    room.fearlessGamesPlayed = 0;
+    room.draftState.fearlessUsedChampions = [];
+    room.draftState.fearlessGame = 1;
+}
+
 function resetDraft(room) {
+    clearTurnTimer(room);
+    clearTradePhase(room);
+    room.pendingUndo = null;
+    room.archivedDraftId = null;
     room.draftState = {
-        phase: 'idle',
-        currentTurn: 0,
-        blueBans: [],
-        redBans: [],
-        bluePicks: [],
-        redPicks: [],
-        currentTeam: 'blue',
-        currentAction: 'ban',
-        fearlessUsedChampions: room.fearlessDraftEnabled ? Array.from(room.fearlessUsedChampions) : []
+        ...DraftRules.createDraftState(room.draftFormat, {
+            fearlessEnabled: room.fearlessDraftEnabled,
+            fearlessUsedChampions: getFearlessEntriesBySide(room),
+            fearlessVariant: room.fearlessVariant,
+            fearlessGame: room.fearlessGamesPlayed + 1,
+            disabledChampions: room.disabledChampions,
+            mirrorPicks: !!room.draftFormat.blind && room.blindConflictRule === 'mirror'
+        }),
+        turnDeadline: null,
+        turnDuration: null,
+        hover: null
     };
+    room.blind = room.draftFormat.blind ? createBlindPicks() : null;
 }
 
-function processDraftAction(champion, playerTeam, room) {
-    const { draftState } = room;
+/**
+ * Replaces the room's draft state with the result of a rules engine action
+ * and carries newly used champions into the room's Fearless session
+ */
+function commitDraftState(room, nextState) {
+    const wasComplete = room.draftState.phase === 'complete';
+    room.draftState = { ...pinOwnedPicks(room, room.draftState, nextState), hover: null };
+    room.pendingUndo = null;
+
+    if (room.fearlessDraftEnabled) {
+        room.fearlessHistory = nextState.fearlessUsedChampions.map(entry => ({ ...entry, team: room.series.sides[entry.team] }));
+    }
+
+    // Count finished drafts for Fearless game windows (an undo can reopen the last one)
+    if (nextState.phase === 'complete' && !wasComplete) {
+        room.fearlessGamesPlayed++;
+        archiveDraft(room);
+        startTradePhase(room);
+    } else if (wasComplete && nextState.phase !== 'complete') {
+        room.fearlessGamesPlayed--;
+        clearTradePhase(room);
+    }
+
+    startTurnTimer(room);
+}
+
+/**
+ * Pins each new pick to the lane of the player who owns it, so the board shows the
+ * champion next to that player. Picks without an owner are left to lane inference, and
+ * pins for picks an undo took back are dropped. Random drafts pin every lane themselves.
+ */
+function pinOwnedPicks(room, previousState, nextState) {
+    if (nextState.random) return nextState;
+
+    let pinnedState = nextState;
+    ['blue', 'red'].forEach(team => {
+        const picks = nextState[`${team}Picks`];
+        const roles = team === 'blue' ? room.blueTeamRoles : room.redTeamRoles;
+        const lanes = (nextState[`${team}Lanes`] || ROLE_ORDER.map(() => null))
+            .map(index => (Number.isInteger(index) && index < picks.length ? index : null));
+
+        for (let slot = previousState[`${team}Picks`].length; slot < picks.length; slot++) {
+            const owner = picks[slot] && getPickOwner(room, team, slot);
+            const lane = owner ? ROLE_ORDER.indexOf(roles[owner]) : -1;
+            if (lane === -1) continue;
+
+            const pinnedLane = lanes.indexOf(slot);
+            if (pinnedLane !== -1) lanes[pinnedLane] = null;
+            lanes[lane] = slot;
+        }
+
+        const isPinned = lanes.some(index => index !== null);
+        if (isPinned || nextState[`${team}Lanes`]) {
+            pinnedState = { ...pinnedState, [`${team}Lanes`]: isPinned ? lanes : null };
+        }
+    });
+    return pinnedState;
+}
+
+/**
+ * Saves the room's completed draft to the history store. A draft reopened with an
+ * undo and completed again replaces its earlier copy.
+ */
+function archiveDraft(room) {
+    const { draftState, series } = room;
+    const lastAction = draftState.actions[draftState.actions.length - 1];
+
+    const record = {
+        roomCode: room.id,
+        format: { id: draftState.format, name: draftState.formatName },
+        draftOrder: draftState.draftOrder,
+        patch: room.patch,
+        bluePlayerName: room.bluePlayerName,
+        redPlayerName: room.redPlayerName,
+        blueTeamRoles: room.blueTeamRoles,
+        redTeamRoles: room.redTeamRoles,
+        blueBans: draftState.blueBans,
+        redBans: draftState.redBans,
+        bluePicks: draftState.bluePicks,
+        redPicks: draftState.redPicks,
+        blueLanes: DraftLanes.getLaneOrder(draftState, 'blue'),
+        redLanes: DraftLanes.getLaneOrder(draftState, 'red'),
+        actions: draftState.actions,
+        trades: draftState.trades,
+        mirrorPicks: draftState.mirrorPicks,
+        fearless: draftState.fearlessEnabled
+            ? { variant: draftState.fearlessVariant, game: draftState.fearlessGame }
+            : null,
+        series: series.bestOf > 1 ? { bestOf: series.bestOf, game: series.games.length + 1 } : null,
+        startedAt: draftState.startedAt,
+        completedAt: lastAction ? lastAction.timestamp : Date.now()
+    };
+
+    if (room.archivedDraftId && DraftStore.updateDraft(room.archivedDraftId, record)) {
+        return;
+    }
+    room.archivedDraftId = DraftStore.saveDraft(record).id;
+    console.log(`Saved draft ${room.archivedDraftId} from room ${room.id}`);
+}
+
+// --- Trade Phase ---
+
+/**
+ * Opens the window after the last pick in which teammates can swap champions
+ */
+function startTradePhase(room) {
+    clearTradePhase(room);
+    room.trade = {
+        deadline: Date.now() + TRADE_PHASE_SECONDS * 1000,
+        proposals: [], // { id, team, slots: [a, b], proposedBy, awaiting }
+        nextId: 1,
+        timer: setTimeout(() => endTradePhase(room), TRADE_PHASE_SECONDS * 1000)
+    };
+}
+
+function clearTradePhase(room) {
+    if (room.trade) {
+        clearTimeout(room.trade.timer);
+        room.trade = null;
+    }
+}
+
+function endTradePhase(room) {
+    clearTradePhase(room);
+    broadcastToRoom(room, {
+        type: 'trade_updated',
+        event: 'ended',
+        draftState: getDraftStateSnapshot(room)
+    });
+    console.log(`Trade phase ended in room ${room.id}`);
+}
+
+/**
+ * Returns who decides on a lane in a trade: the player assigned that role, or the
+ * captain when that player is not seated
+ */
+function getSlotController(room, team, lane) {
+    const roles = team === 'blue' ? room.blueTeamRoles : room.redTeamRoles;
+    const owner = roles && Object.keys(roles).find(name => roles[name] === ROLE_ORDER[lane]);
+    const isSeated = owner && (room[`${team}PlayerName`] === owner || getTeammates(room, team).some(p => p.name === owner));
+    return isSeated ? owner : room[`${team}PlayerName`];
+}
+
+/**
+ * Swaps the champions in two lanes and saves the new champion-to-player mapping
+ * @returns {Object} - { ok: true } or { ok: false, message }
+ */
+function applyTrade(room, team, slots) {
+    const result = DraftRules.swapPicks(room.draftState, team, slots);
+    if (!result.ok) return result;
 
-    if (draftState.phase !== 'drafting') {
-        return { success: false, error: 'Draft not in progress' };
+    commitLaneChange(room, team, slots, result.state);
+    return { ok: true };
+}
+
+/**
+ * Stores a state with a team's lanes rearranged. Open trade proposals on the moved
+ * lanes are dropped, and a saved draft gets the new lane layout.
+ */
+function commitLaneChange(room, team, lanes, state) {
+    room.draftState = state;
+    if (room.trade) {
+        room.trade.proposals = room.trade.proposals.filter(p => p.team !== team || !p.slots.some(slot => lanes.includes(slot)));
     }
+    if (room.archivedDraftId) {
+        DraftStore.updateDraft(room.archivedDraftId, {
+            [`${team}Lanes`]: DraftLanes.getLaneOrder(state, team),
+            trades: state.trades
+        });
+    }
+}
 
-    if (draftState.currentTurn >= DRAFT_ORDER.length) {
-        draftState.phase = 'complete';
-        return { success: false, error: 'Draft already complete' };
+function clearTurnTimer(room) {
+    if (room.turnTimer) {
+        clearTimeout(room.turnTimer);
+        room.turnTimer = null;
     }
+    room.draftState.turnDeadline = null;
+    room.draftState.turnDuration = null;
+}
 
-    const currentStep = DRAFT_ORDER[draftState.currentTurn];
-    const { team, action } = currentStep;
+/**
+ * Starts the clock for the current turn, replacing any running one
+ * @param {number} remainingMs - Time left on a resumed turn (defaults to a full turn)
+ */
+function startTurnTimer(room, remainingMs = null) {
+    clearTurnTimer(room);
 
-    // Validate turn ownership
-    if (playerTeam !== team) {
-        return { success: false, error: 'Not your turn' };
+    if (room.draftState.phase !== 'drafting' || room.turnTimerSeconds <= 0) {
+        return;
     }
 
-    // Check if champion is already banned or picked
-    const allBans = [...draftState.blueBans, ...draftState.redBans];
-    const allPicks = [...draftState.bluePicks, ...draftState.redPicks];
-    const fearlessUsed = draftState.fearlessUsedChampions || [];
+    const duration = remainingMs ?? room.turnTimerSeconds * 1000;
+    room.draftState.turnDuration = duration;
+    room.draftState.turnDeadline = Date.now() + duration;
+    room.turnTimer = setTimeout(() => handleTurnTimeout(room), duration);
+}
+
+/**
+ * Resolves an expired turn: bans are skipped, picks lock a random available champion
+ */
+function handleTurnTimeout(room) {
+    room.turnTimer = null;
 
-    if (allBans.includes(champion) || allPicks.includes(champion) || fearlessUsed.includes(champion)) {
-        return { success: false, error: 'Champion already banned, picked, or used in fearless mode' };
+    const step = DraftRules.getCurrentStep(room.draftState);
+    if (!step) {
+        return;
     }
 
-    // Check fearless mode for picks
-    if (action === 'pick' && room.fearlessDraftEnabled && room.fearlessUsedChampions.has(champion)) {
-        return { success: false, error: 'Champion already used in this Fearless session' };
+    if (room.blind) {
+        handleBlindTimeout(room);
+        return;
     }
 
-    // Add champion to appropriate list
-    if (action === 'ban') {
-        if (team === 'blue') {
-            draftState.blueBans.push(champion);
-        } else {
-            draftState.redBans.push(champion);
+    if (room.draftState.randomDraft) {
+        const result = DraftRules.finishRandomDraft(room.draftState);
+        if (!result.ok) {
+            // Keep the clock running so the room is not left without one
+            console.error(`Random draft could not be completed in room ${room.id}: ${result.message}`);
+            startTurnTimer(room);
+            return;
         }
-    } else if (action === 'pick') {
-        if (team === 'blue') {
-            draftState.bluePicks.push(champion);
+        completeRandomDraft(room, result.state, true);
+        return;
+    }
+
+    let champion = null;
+    const { hover } = room.draftState;
+
+    if (step.action === 'pick' && hover && hover.team === step.team &&
+        !getRosterError(room, hover.champion) && !getPoolError(room, hover.champion) &&
+        !DraftRules.validateDraftAction(room.draftState, { type: 'lock', team: step.team, champion: hover.champion })) {
+        // Lock the champion the captain had selected, as in real champion select
+        champion = hover.champion;
+    } else if (step.action === 'pick') {
+        const unavailable = DraftRules.getUnavailableChampions(room.draftState);
+        const restricted = getRestrictedPool(room);
+        const available = (room.champions || []).map(champ => champ.name).filter(name =>
+            !unavailable.has(name) && (!restricted || DraftRules.isInChampionPool(restricted.pool, name)));
+
+        if (available.length > 0) {
+            champion = available[Math.floor(Math.random() * available.length)];
         } else {
-            draftState.redPicks.push(champion);
+            console.warn(`No champion roster available for auto-pick in room ${room.id}, skipping pick`);
         }
+    }
 
-        // Add to fearless used champions
-        if (room.fearlessDraftEnabled) {
-            room.fearlessUsedChampions.add(champion);
-            draftState.fearlessUsedChampions = Array.from(room.fearlessUsedChampions);
-        }
+    const result = DraftRules.applyDraftAction(room.draftState, champion
+        ? { type: 'lock', team: step.team, champion }
+        : { type: 'skip', team: step.team });
+
+    if (!result.ok) {
+        console.error(`Auto-action rejected in room ${room.id}: ${result.message}`);
+        return;
+    }
+
+    commitDraftState(room, result.state);
+
+    broadcastToRoom(room, {
+        type: 'draft_update',
+        draftState: getDraftStateSnapshot(room),
+        champion: champion,
+        team: step.team,
+        action: room.draftState.currentAction,
+        autoAction: true
+    });
+
+    console.log(`Turn timed out in room ${room.id}: ${step.team} ${step.action} ${champion ? `auto-locked ${champion}` : 'skipped'}`);
+}
+
+function processDraftAction(champion, playerTeam, room) {
+    const rosterError = getRosterError(room, champion);
+    if (rosterError) {
+        return { success: false, error: rosterError, reason: DraftRules.REJECTION.NOT_ON_PATCH };
+    }
+
+    const poolError = getPoolError(room, champion);
+    if (poolError) {
+        return { success: false, error: poolError, reason: DraftRules.REJECTION.OUTSIDE_POOL };
+    }
+
+    const result = DraftRules.applyDraftAction(room.draftState, { type: 'lock', team: playerTeam, champion });
+
+    if (!result.ok) {
+        return { success: false, error: result.message, reason: result.reason };
+    }
+
+    commitDraftState(room, result.state);
+    return { success: true };
+}
+
+// --- Blind Pick ---
+
+function createBlindPicks() {
+    const slots = () => Array(DraftFormats.PICKS_PER_TEAM).fill(null);
+    return {
+        picks: { blue: slots(), red: slots() }, // { champion, lockedAt } by pick slot; champion null for a skipped pick
+        taken: { blue: [], red: [] }            // Champions a team lost in a conflict and cannot pick again
+    };
+}
+
+/**
+ * Lists the blind picks a team may see: its own champions and a placeholder for each
+ * pick the other team has locked
+ * @param {string|null} team - Viewing team; spectators see only placeholders
+ * @returns {Object} - { blue, red } with a champion name, BLIND_LOCKED or null per pick slot
+ */
+function getBlindPicksView(room, team) {
+    const view = side => room.blind.picks[side].map(entry => {
+        if (!entry) return null;
+        return side === team ? entry.champion : DraftRules.BLIND_LOCKED;
+    });
+    return { blue: view('blue'), red: view('red') };
+}
+
+/**
+ * Finds the slot a player locks in a blind draft: their own role's slot, or any open
+ * slot for the captain
+ * @returns {Object} - { slot } or { error }
+ */
+function getBlindSlot(room, ws, team) {
+    const picks = room.blind.picks[team];
+    const name = getSeatName(room, ws);
+    const ownSlot = picks.findIndex((entry, slot) => getPickOwner(room, team, slot) === name);
+
+    if (ownSlot !== -1 && !picks[ownSlot]) {
+        return { slot: ownSlot };
+    }
+    if (isCaptain(room, ws)) {
+        const openSlot = picks.indexOf(null);
+        return openSlot !== -1 ? { slot: openSlot } : { error: 'Your team has locked all of its picks' };
+    }
+    return { error: ownSlot !== -1 ? 'You have already locked your pick' : 'Your captain makes this pick' };
+}
+
+function getBlindUnavailable(room, team) {
+    const { picks, taken } = room.blind;
+    return [...picks[team].filter(Boolean).map(entry => entry.champion), ...taken[team]];
+}
+
+/**
+ * Locks a hidden pick for a player's team in a blind draft
+ * @returns {Object} - { success: true } or { success: false, error, reason }
+ */
+function processBlindPick(champion, ws, playerTeam, room) {
+    const reason = DraftRules.validateBlindPick(room.draftState, playerTeam, champion, getBlindUnavailable(room, playerTeam));
+    if (reason) {
+        return { success: false, error: DraftRules.REJECTION_MESSAGES[reason], reason };
     }
 
-    // Advance to next turn
-    draftState.currentTurn++;
+    const { slot, error } = getBlindSlot(room, ws, playerTeam);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const rosterError = getRosterError(room, champion);
+    if (rosterError) {
+        return { success: false, error: rosterError, reason: DraftRules.REJECTION.NOT_ON_PATCH };
+    }
 
-    if (draftState.currentTurn < DRAFT_ORDER.length) {
-        const nextStep = DRAFT_ORDER[draftState.currentTurn];
-        draftState.currentTeam = nextStep.team;
-        draftState.currentAction = nextStep.action;
-    } else {
-        draftState.phase = 'complete';
-        draftState.currentTeam = null;
-        draftState.currentAction = null;
+    const poolError = getPoolError(room, champion, getPickOwner(room, playerTeam, slot));
+    if (poolError) {
+        return { success: false, error: poolError, reason: DraftRules.REJECTION.OUTSIDE_POOL };
     }
 
+    room.blind.picks[playerTeam][slot] = { champion, lockedAt: Date.now() };
     return { success: true };
 }
 
+/**
+ * Reveals a blind draft once both teams have locked every pick. Under the re-pick rule
+ * a champion both teams chose stays with the team that locked it first, and the other
+ * team picks again before anything is revealed. A champion the host disabled (or Fearless
+ * locked) after it was picked is picked again as well.
+ * @returns {Object} - { revealed, conflicts: [{ team, slot, champion, unavailable }] } with
+ *                     the picks that have to be made again
+ */
+function resolveBlindPicks(room) {
+    const { picks, taken } = room.blind;
+    if (picks.blue.includes(null) || picks.red.includes(null)) {
+        return { revealed: false, conflicts: [] };
+    }
+
+    const conflicts = [];
+    if (!room.draftState.mirrorPicks) {
+        picks.blue.forEach((blueEntry, blueSlot) => {
+            const redSlot = picks.red.findIndex(entry => blueEntry.champion && entry.champion === blueEntry.champion);
+            if (redSlot === -1) return;
+
+            const redWasLater = picks.red[redSlot].lockedAt >= blueEntry.lockedAt;
+            conflicts.push(redWasLater
+                ? { team: 'red', slot: redSlot, champion: blueEntry.champion, unavailable: false }
+                : { team: 'blue', slot: blueSlot, champion: blueEntry.champion, unavailable: false });
+        });
+    }
+
+    ['blue', 'red'].forEach(team => {
+        picks[team].forEach((entry, slot) => {
+            const isConflict = conflicts.some(conflict => conflict.team === team && conflict.slot === slot);
+            if (entry.champion && !isConflict && DraftRules.validateBlindPick(room.draftState, team, entry.champion)) {
+                conflicts.push({ team, slot, champion: entry.champion, unavailable: true });
+            }
+        });
+    });
+
+    if (conflicts.length > 0) {
+        conflicts.forEach(({ team, slot, champion, unavailable }) => {
+            picks[team][slot] = null;
+            if (!unavailable) taken[team].push(champion);
+        });
+        return { revealed: false, conflicts };
+    }
+
+    const result = DraftRules.revealBlindPicks(room.draftState, {
+        blue: picks.blue.map(entry => entry.champion),
+        red: picks.red.map(entry => entry.champion)
+    });
+    if (!result.ok) {
+        console.error(`Blind reveal rejected in room ${room.id}: ${result.message}`);
+        return { revealed: false, conflicts: [] };
+    }
+
+    room.blind = null;
+    commitDraftState(room, result.state);
+    return { revealed: true, conflicts: [] };
+}
+
+/**
+ * Tells the room about a locked blind pick, a re-pick after a conflict or the reveal
+ */
+function broadcastBlindProgress(room, team, resolution) {
+    if (resolution.revealed) {
+        broadcastToRoom(room, {
+            type: 'draft_update',
+            draftState: getDraftStateSnapshot(room),
+            blindReveal: true
+        });
+        console.log(`Blind picks revealed in room ${room.id}`);
+        return;
+    }
+
+    broadcastToRoom(room, {
+        type: 'blind_pick_locked',
+        team: team,
+        conflicts: resolution.conflicts,
+        draftState: getDraftStateSnapshot(room)
+    });
+}
+
+/**
+ * Fills every open blind pick when the timer runs out: a random available champion
+ * for each, or a skip without a roster
+ */
+function handleBlindTimeout(room) {
+    for (let resolution = null; !resolution || !resolution.revealed;) {
+        ['blue', 'red'].forEach(team => {
+            room.blind.picks[team].forEach((entry, slot) => {
+                if (entry) return;
+
+                const unavailable = new Set([...DraftRules.getUnavailableChampions(room.draftState), ...getBlindUnavailable(room, team)]);
+                const restricted = getRestrictedPool(room, getPickOwner(room, team, slot));
+                const available = (room.champions || []).map(champ => champ.name).filter(name =>
+                    !unavailable.has(name) && (!restricted || DraftRules.isInChampionPool(restricted.pool, name)));
+
+                const champion = available.length > 0 ? available[Math.floor(Math.random() * available.length)] : null;
+                room.blind.picks[team][slot] = { champion, lockedAt: Date.now() };
+            });
+        });
+
+        resolution = resolveBlindPicks(room);
+        // A failed reveal leaves every slot filled, so trying again now would not help;
+        // keep the clock running so the room is not left without one
+        if (!resolution.revealed && resolution.conflicts.length === 0) {
+            startTurnTimer(room);
+            return;
+        }
+    }
+
+    broadcastBlindProgress(room, null, { revealed: true, conflicts: [] });
+    console.log(`Blind pick timed out in room ${room.id}: open picks auto-locked`);
+}
+
+// --- Random Draft ---
+
+function getRosterNames(room) {
+    return (room.champions || []).map(champ => champ.name);
+}
+
+/**
+ * Lists who decides on each lane of a random draft, as for trades: the player assigned
+ * the lane, or the captain when that player is not seated
+ * @returns {Object} - { blue, red } with a player name (or null) per lane
+ */
+function getRandomControllers(room) {
+    const controllers = team => ROLE_ORDER.map((role, lane) => getSlotController(room, team, lane));
+    return { blue: controllers('blue'), red: controllers('red') };
+}
+
+/**
+ * Checks that a connection decides on a lane of its team in a random draft
+ * @returns {string|null} - Error message, or null if the player may change the lane
+ */
+function getRandomSlotError(room, ws, team, slot) {
+    if (team !== 'blue' && team !== 'red') {
+        return 'Spectators cannot change champions';
+    }
+    const controller = Number.isInteger(slot) ? getSlotController(room, team, slot) : null;
+    if (controller && controller !== getSeatName(room, ws)) {
+        return `This lane belongs to ${controller}`;
+    }
+    return null;
+}
+
+/**
+ * Keeps the champions a team may have fixed while a random draft is rolling: every lane
+ * was rolled against the disabled list and Fearless locks it started with
+ * @param {string} setting - Name of the setting for the message, e.g. 'Fearless Draft'
+ * @returns {string|null} - Error message, or null if the setting may change
+ */
+function getRandomDraftLockError(room, setting) {
+    return room.draftState.randomDraft ? `${setting} cannot change during a random draft` : null;
+}
+
+/**
+ * Stores a random draft the rules engine has completed and shows the final board
+ * @param {Object} nextState - Completed draft state
+ * @param {boolean} autoAction - Whether the timer ran out before every lane locked in
+ */
+function completeRandomDraft(room, nextState, autoAction = false) {
+    commitDraftState(room, nextState);
+    broadcastToRoom(room, {
+        type: 'draft_update',
+        draftState: getDraftStateSnapshot(room),
+        autoAction: autoAction
+    });
+    console.log(`Random draft completed in room ${room.id}${autoAction ? ' when the timer ran out' : ''}`);
+}
+
 // --- WebSocket Server Setup ---
 const wss = new WebSocketServer({ server });
 
@@ -232,6 +1224,8 @@ wss.on('connection', (ws) => {
     console.log('New WebSocket connection');
     let currentRoom = null;
     let currentTeam = null;
+    let creatingRoom = false; // A create_room is waiting on its champion roster
+    const queuedMessages = []; // Messages received meanwhile, handled once the room exists
 
     ws.on('message', (message) => {
         try {
@@ -243,6 +1237,19 @@ wss.on('connection', (ws) => {
                 ws.send(JSON.stringify({ type: 'ack', messageId: data.messageId }));
             }
 
+            // Hold messages until the room exists, so the host's follow-ups (role assignments,
+            // settings) and create_room retries find it
+            if (creatingRoom) {
+                queuedMessages.push(message);
+                return;
+            }
+
+            // Seats can move without this connection asking (side swaps between series games)
+            const seat = currentRoom ? getSeatTeam(currentRoom, ws) : null;
+            if (seat) {
+                currentTeam = seat;
+            }
+
             switch (data.type) {
                 case 'create_room': {
                     // Check if player already has a room (idempotency for retries)
@@ -250,264 +1257,1375 @@ wss.on('connection', (ws) => {
                         // Already created, just send the existing room info
                         ws.send(JSON.stringify({
                             type: 'room_created',
-                            roomCode: currentRoom.id,
+                            ...getRoomSnapshot(currentRoom, currentTeam),
                             team: currentTeam,
                             isHost: true,
-                            draftState: currentRoom.draftState,
-                            fearlessDraftEnabled: currentRoom.fearlessDraftEnabled,
-                            bluePlayerName: currentRoom.bluePlayerName,
-                            redPlayerName: currentRoom.redPlayerName,
-                            blueTeamRoles: currentRoom.blueTeamRoles,
-                            redTeamRoles: currentRoom.redTeamRoles,
-                            spectators: currentRoom.spectators.map(s => s.name)
+                            isCaptain: isCaptain(currentRoom, ws)
+                        }));
+                        console.log(`Resending existing room ${currentRoom.id} (retry from host)`);
+                        break;
+                    }
+
+                    const formatResult = resolveDraftFormat(data.draftFormat, data.customDraftOrder);
+                    if (formatResult.error) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: formatResult.error
+                        }));
+                        break;
+                    }
+
+                    creatingRoom = true;
+                    resolveRoomRoster(data.patch).then((roster) => {
+                        creatingRoom = false;
+                        if (ws.readyState !== 1) {
+                            return;
+                        }
+
+                        let roomCode;
+                        do {
+                            roomCode = generateRoomCode();
+                        } while (rooms[roomCode]);
+
+                        const room = createNewRoom(roomCode, formatResult.format, roster);
+                        room.bluePlayer = ws;
+                        room.bluePlayerName = data.playerName || 'Player 1';
+                        room.host = ws;
+                        currentRoom = room;
+                        currentTeam = 'blue';
+
+                        cancelRoomCleanup(roomCode);
+
+                        ws.send(JSON.stringify({
+                            type: 'room_created',
+                            ...getRoomSnapshot(room, 'blue'),
+                            team: 'blue',
+                            isHost: true,
+                            isCaptain: true
+                        }));
+
+                        console.log(`Room ${roomCode} created by ${room.bluePlayerName} (blue team, patch ${room.patch || 'unpinned'})`);
+                        queuedMessages.splice(0).forEach(queued => ws.emit('message', queued));
+                    }).catch((error) => {
+                        creatingRoom = false;
+                        if (ws.readyState === 1) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: error.message
+                            }));
+                            queuedMessages.splice(0).forEach(queued => ws.emit('message', queued));
+                        }
+                    });
+                    break;
+                }
+
+                case 'join_room': {
+                    const roomCode = data.roomCode.toUpperCase();
+                    const room = rooms[roomCode];
+
+                    if (!room) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Room not found'
+                        }));
+                        break;
+                    }
+
+                    // Check if player already in this room (idempotency for retries)
+                    if (currentRoom === room) {
+                        // Already joined, just resend the confirmation
+                        ws.send(JSON.stringify({
+                            type: 'room_joined',
+                            ...getRoomSnapshot(room, currentTeam),
+                            team: currentTeam,
+                            isHost: ws === room.host,
+                            isCaptain: isCaptain(room, ws)
+                        }));
+                        console.log(`Resending join confirmation for room ${roomCode} (retry)`);
+                        break;
+                    }
+
+                    let joinedTeam;
+                    const playerName = data.playerName || 'Player';
+
+                    // Assign to red team if available, otherwise spectator
+                    if (!room.redPlayer) {
+                        room.redPlayer = ws;
+                        room.redPlayerName = playerName;
+                        joinedTeam = 'red';
+                        currentRoom = room;
+                        currentTeam = 'red';
+
+                        console.log(`${playerName} joined room ${roomCode} (red team)`);
+
+                        // Notify other players
+                        broadcastToRoom(room, {
+                            type: 'opponent_joined',
+                            opponentName: playerName
+                        }, ws);
+
+                        // Also send room update so host sees the joined player
+                        broadcastToRoom(room, {
+                            type: 'room_update',
+                            bluePlayerName: room.bluePlayerName,
+                            redPlayerName: room.redPlayerName,
+                            blueTeammates: room.blueTeammates.map(p => p.name),
+                            redTeammates: room.redTeammates.map(p => p.name),
+                            spectators: room.spectators.map(s => s.name),
+                            blueTeamRoles: room.blueTeamRoles,
+                            redTeamRoles: room.redTeamRoles
+                        }, ws);
+                    } else {
+                        // Both teams full, join as spectator
+                        room.spectators.push({ ws, name: playerName });
+                        joinedTeam = 'spectator';
+                        currentRoom = room;
+                        currentTeam = 'spectator';
+
+                        console.log(`${playerName} joined room ${roomCode} (spectator)`);
+
+                        // Notify other players
+                        broadcastToRoom(room, {
+                            type: 'room_update',
+                            bluePlayerName: room.bluePlayerName,
+                            redPlayerName: room.redPlayerName,
+                            blueTeammates: room.blueTeammates.map(p => p.name),
+                            redTeammates: room.redTeammates.map(p => p.name),
+                            spectators: room.spectators.map(s => s.name),
+                            blueTeamRoles: room.blueTeamRoles,
+                            redTeamRoles: room.redTeamRoles
+                        }, ws);
+                    }
+
+                    cancelRoomCleanup(roomCode);
+
+                    ws.send(JSON.stringify({
+                        type: 'room_joined',
+                        ...getRoomSnapshot(room, joinedTeam),
+                        team: joinedTeam,
+                        isHost: ws === room.host,
+                        isCaptain: isCaptain(room, ws)
+                    }));
+
+                    console.log(`Sent room_joined with role assignments:`, {
+                        blueTeamRoles: room.blueTeamRoles,
+                        redTeamRoles: room.redTeamRoles
+                    });
+
+                    break;
+                }
+
+                case 'rejoin_room': {
+                    const roomCode = data.roomCode.toUpperCase();
+                    const room = rooms[roomCode];
+                    const requestedTeam = data.team; // 'blue', 'red', or 'spectator'
+                    const playerName = data.playerName || 'Player';
+
+                    if (!room) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Room not found'
+                        }));
+                        break;
+                    }
+
+                    // Check if player already in this room (idempotency for retries)
+                    if (currentRoom === room) {
+                        // Already rejoined, just resend the confirmation
+                        ws.send(JSON.stringify({
+                            type: 'room_joined',
+                            ...getRoomSnapshot(room, currentTeam),
+                            team: currentTeam,
+                            isHost: ws === room.host,
+                            isCaptain: isCaptain(room, ws)
+                        }));
+                        console.log(`Resending rejoin confirmation for room ${roomCode} (retry)`);
+                        break;
+                    }
+
+                    let joinedTeam;
+                    const wasHost = ws === room.host;
+
+                    // Try to rejoin the requested team, as captain or teammate
+                    if ((requestedTeam === 'blue' || requestedTeam === 'red') && !getSeatError(room, requestedTeam, playerName)) {
+                        seatPlayer(room, ws, requestedTeam, playerName);
+                        joinedTeam = requestedTeam;
+                        currentRoom = room;
+                        currentTeam = requestedTeam;
+
+                        // Restore host status if they were the host
+                        if (requestedTeam === 'blue' && !room.host) {
+                            room.host = ws;
+                        }
+
+                        console.log(`${playerName} rejoined room ${roomCode} (${requestedTeam} team${isCaptain(room, ws) ? ' captain' : ''})`);
+                    } else if (requestedTeam === 'spectator') {
+                        room.spectators.push({ ws, name: playerName });
+                        joinedTeam = 'spectator';
+                        currentRoom = room;
+                        currentTeam = 'spectator';
+
+                        console.log(`${playerName} rejoined room ${roomCode} (spectator)`);
+                    } else {
+                        // Requested team is occupied, join as spectator
+                        room.spectators.push({ ws, name: playerName });
+                        joinedTeam = 'spectator';
+                        currentRoom = room;
+                        currentTeam = 'spectator';
+
+                        console.log(`${playerName} rejoined room ${roomCode} as spectator (${requestedTeam} team occupied)`);
+                    }
+
+                    cancelRoomCleanup(roomCode);
+
+                    // Notify the rejoining player
+                    ws.send(JSON.stringify({
+                        type: 'room_joined',
+                        ...getRoomSnapshot(room, joinedTeam),
+                        team: joinedTeam,
+                        isHost: ws === room.host,
+                        isCaptain: isCaptain(room, ws)
+                    }));
+
+                    // Notify other players
+                    broadcastToRoom(room, {
+                        type: 'room_update',
+                        bluePlayerName: room.bluePlayerName,
+                        redPlayerName: room.redPlayerName,
+                        blueTeammates: room.blueTeammates.map(p => p.name),
+                        redTeammates: room.redTeammates.map(p => p.name),
+                        spectators: room.spectators.map(s => s.name),
+                        blueTeamRoles: room.blueTeamRoles,
+                        redTeamRoles: room.redTeamRoles
+                    }, ws);
+
+                    break;
+                }
+
+                case 'start_draft': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    // Only host can start draft
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can start the draft'
+                        }));
+                        break;
+                    }
+
+                    const { series } = currentRoom;
+                    if (series.bestOf > 1) {
+                        let seriesError = null;
+                        if (getSeriesWinner(series)) {
+                            seriesError = 'The series is over. Choose a series length to start a new one';
+                        } else if (series.awaitingSide) {
+                            seriesError = 'Waiting for the losing team to choose a side';
+                        } else if (isAwaitingResult(currentRoom)) {
+                            seriesError = `Record the winner of game ${series.games.length + 1} first`;
+                        }
+
+                        if (seriesError) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: seriesError
+                            }));
+                            break;
+                        }
+                    }
+
+                    // Random drafts roll from the room's roster, so they need a pinned patch
+                    if (currentRoom.draftFormat.random && !currentRoom.champions) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Random drafts need the room\'s champion list, which could not be loaded'
+                        }));
+                        break;
+                    }
+
+                    resetDraft(currentRoom);
+                    series.gameRecorded = false;
+                    currentRoom.draftState = DraftRules.startDraft(currentRoom.draftState);
+                    if (currentRoom.draftState.random) {
+                        currentRoom.draftState = DraftRules.rollRandomDraft(currentRoom.draftState, getRosterNames(currentRoom)).state;
+                    }
+                    startTurnTimer(currentRoom);
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'draft_started',
+                        draftState: getDraftStateSnapshot(currentRoom),
+                        series: getSeriesSnapshot(currentRoom)
+                    });
+
+                    console.log(`Draft started in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'draft_action': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    // Both teams lock blind picks at the same time, so there is no turn to check
+                    if (currentRoom.blind) {
+                        const blindResult = processBlindPick(data.champion, ws, currentTeam, currentRoom);
+                        if (!blindResult.success) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: blindResult.error,
+                                reason: blindResult.reason
+                            }));
+                            break;
+                        }
+
+                        const resolution = resolveBlindPicks(currentRoom);
+                        if (resolution.conflicts.length > 0) {
+                            // The teams that lost a champion get a fresh turn to pick again
+                            startTurnTimer(currentRoom);
+                        }
+                        broadcastBlindProgress(currentRoom, currentTeam, resolution);
+                        console.log(`${currentTeam} locked a blind pick in room ${currentRoom.id}`);
+                        break;
+                    }
+
+                    if (currentRoom.draftState.randomDraft) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Champions are rolled in a random draft'
+                        }));
+                        break;
+                    }
+
+                    const permissionError = getTurnPermissionError(currentRoom, ws);
+                    if (permissionError) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: permissionError
+                        }));
+                        break;
+                    }
+
+                    const result = processDraftAction(data.champion, currentTeam, currentRoom);
+
+                    if (result.success) {
+                        broadcastToRoom(currentRoom, {
+                            type: 'draft_update',
+                            draftState: getDraftStateSnapshot(currentRoom),
+                            champion: data.champion,
+                            team: currentTeam,
+                            action: currentRoom.draftState.currentAction
+                        });
+                    } else {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: result.error,
+                            reason: result.reason
+                        }));
+                    }
+                    break;
+                }
+
+                case 'request_undo': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (!isCaptain(currentRoom, ws)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the captain can request an undo'
+                        }));
+                        break;
+                    }
+
+                    if (currentRoom.draftState.blind) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Blind picks cannot be undone'
+                        }));
+                        break;
+                    }
+
+                    if (currentRoom.draftState.random) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Random drafts cannot be undone'
+                        }));
+                        break;
+                    }
+
+                    const { actions } = currentRoom.draftState;
+                    const lastAction = actions[actions.length - 1];
+
+                    if (!lastAction || lastAction.team !== currentTeam) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'You can only undo your own team\'s last action'
+                        }));
+                        break;
+                    }
+
+                    if (currentRoom.draftState.trades.length > 0) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: DraftRules.REJECTION_MESSAGES[DraftRules.REJECTION.PICKS_TRADED]
+                        }));
+                        break;
+                    }
+
+                    if (currentRoom.pendingUndo) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'An undo request is already pending'
+                        }));
+                        break;
+                    }
+
+                    currentRoom.pendingUndo = { team: currentTeam, actionCount: actions.length };
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'undo_requested',
+                        team: currentTeam,
+                        action: lastAction.action,
+                        champion: lastAction.champion
+                    });
+
+                    console.log(`Undo of ${lastAction.action} ${lastAction.champion} requested by ${currentTeam} in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'respond_undo': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    const pending = currentRoom.pendingUndo;
+                    if (!pending) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'No undo request is pending'
+                        }));
+                        break;
+                    }
+
+                    // The opposing captain or the host (when not the requester) decides
+                    const isOpposingCaptain = isCaptain(currentRoom, ws) && currentTeam !== pending.team;
+                    const isNeutralHost = ws === currentRoom.host && currentTeam !== pending.team;
+                    if (!isOpposingCaptain && !isNeutralHost) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the other captain or the host can answer an undo request'
+                        }));
+                        break;
+                    }
+
+                    currentRoom.pendingUndo = null;
+
+                    // Another action landed (e.g. the turn timer) since the request was made
+                    if (pending.actionCount !== currentRoom.draftState.actions.length) {
+                        broadcastToRoom(currentRoom, {
+                            type: 'undo_resolved',
+                            approved: false,
+                            expired: true,
+                            team: pending.team
+                        });
+                        break;
+                    }
+
+                    if (!data.approve) {
+                        broadcastToRoom(currentRoom, {
+                            type: 'undo_resolved',
+                            approved: false,
+                            team: pending.team
+                        });
+                        console.log(`Undo declined in room ${currentRoom.id}`);
+                        break;
+                    }
+
+                    const result = DraftRules.undoLastAction(currentRoom.draftState);
+                    if (!result.ok) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: result.message,
+                            reason: result.reason
+                        }));
+                        break;
+                    }
+
+                    commitDraftState(currentRoom, result.state);
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'undo_resolved',
+                        approved: true,
+                        team: pending.team,
+                        action: result.action.action,
+                        champion: result.action.champion
+                    });
+                    broadcastToRoom(currentRoom, {
+                        type: 'draft_update',
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Undid ${result.action.action} ${result.action.champion} in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'hover_champion': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    // Blind picks stay private until the reveal, so selections are not shared
+                    if (currentRoom.blind) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Selections are not shared in blind pick'
+                        }));
+                        break;
+                    }
+
+                    if (currentRoom.draftState.randomDraft) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Champions are rolled in a random draft'
+                        }));
+                        break;
+                    }
+
+                    const step = DraftRules.getCurrentStep(currentRoom.draftState);
+                    const permissionError = getTurnPermissionError(currentRoom, ws);
+                    if (!step || step.team !== currentTeam || permissionError) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: permissionError || 'Not your turn'
+                        }));
+                        break;
+                    }
+
+                    // A null champion clears the selection
+                    if (data.champion) {
+                        const reason = DraftRules.validateDraftAction(currentRoom.draftState, {
+                            type: 'lock',
+                            team: currentTeam,
+                            champion: data.champion
+                        });
+                        if (reason) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: DraftRules.REJECTION_MESSAGES[reason],
+                                reason: reason
+                            }));
+                            break;
+                        }
+
+                        const rosterError = getRosterError(currentRoom, data.champion);
+                        if (rosterError) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: rosterError,
+                                reason: DraftRules.REJECTION.NOT_ON_PATCH
+                            }));
+                            break;
+                        }
+
+                        const poolError = getPoolError(currentRoom, data.champion);
+                        if (poolError) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: poolError,
+                                reason: DraftRules.REJECTION.OUTSIDE_POOL
+                            }));
+                            break;
+                        }
+                    }
+
+                    currentRoom.draftState.hover = data.champion
+                        ? { team: currentTeam, champion: data.champion }
+                        : null;
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'champion_hovered',
+                        hover: currentRoom.draftState.hover
+                    });
+                    break;
+                }
+
+                case 'reroll_champion':
+                case 'swap_bench_champion':
+                case 'lock_random_pick': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    const slotError = getRandomSlotError(currentRoom, ws, currentTeam, data.slot);
+                    if (slotError) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: slotError
+                        }));
+                        break;
+                    }
+
+                    const { draftState } = currentRoom;
+                    let randomResult;
+                    if (data.type === 'reroll_champion') {
+                        randomResult = DraftRules.rerollRandomPick(draftState, currentTeam, data.slot, getRosterNames(currentRoom));
+                    } else if (data.type === 'swap_bench_champion') {
+                        randomResult = DraftRules.swapWithBench(draftState, currentTeam, data.slot, data.champion);
+                    } else {
+                        randomResult = DraftRules.lockRandomPick(draftState, currentTeam, data.slot);
+                    }
+
+                    if (!randomResult.ok) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: randomResult.message,
+                            reason: randomResult.reason
+                        }));
+                        break;
+                    }
+
+                    // The last lane to lock in completes the draft
+                    if (randomResult.state.phase === 'complete') {
+                        completeRandomDraft(currentRoom, randomResult.state);
+                        break;
+                    }
+
+                    currentRoom.draftState = randomResult.state;
+                    const event = { reroll_champion: 'rerolled', swap_bench_champion: 'swapped', lock_random_pick: 'locked' }[data.type];
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'random_draft_updated',
+                        event: event,
+                        team: currentTeam,
+                        slot: data.slot,
+                        champion: currentRoom.draftState.randomDraft.picks[currentTeam][data.slot],
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`${currentTeam} lane ${data.slot} ${event} in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'propose_trade': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (!currentRoom.trade) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Trades are not open'
+                        }));
+                        break;
+                    }
+
+                    const slots = data.slots;
+                    const playerName = getSeatName(currentRoom, ws);
+                    const validSlots = Array.isArray(slots) && slots.length === 2 &&
+                        slots.every(slot => Number.isInteger(slot) && slot >= 0 && slot < 5) && slots[0] !== slots[1];
+                    if (!validSlots || !playerName || (currentTeam !== 'blue' && currentTeam !== 'red')) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Choose two of your team\'s lanes to trade'
+                        }));
+                        break;
+                    }
+
+                    // The proposer gives up a lane they control; the other lane's controller decides
+                    const controllers = slots.map(slot => getSlotController(currentRoom, currentTeam, slot));
+                    const ownIndex = controllers.indexOf(playerName);
+                    if (ownIndex === -1) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'You can only trade your own champion'
+                        }));
+                        break;
+                    }
+
+                    const awaiting = controllers[1 - ownIndex];
+                    if (awaiting === playerName) {
+                        // Both lanes are this player's to decide (e.g. the captain for unseated players)
+                        const result = applyTrade(currentRoom, currentTeam, slots);
+                        if (!result.ok) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                message: result.message
+                            }));
+                            break;
+                        }
+
+                        broadcastToRoom(currentRoom, {
+                            type: 'trade_updated',
+                            event: 'accepted',
+                            team: currentTeam,
+                            slots: slots,
+                            draftState: getDraftStateSnapshot(currentRoom)
+                        });
+                        console.log(`${playerName} swapped ${currentTeam} lanes ${slots.join(' and ')} in room ${currentRoom.id}`);
+                        break;
+                    }
+
+                    const check = DraftRules.swapPicks(currentRoom.draftState, currentTeam, slots);
+                    if (!check.ok) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: check.message,
+                            reason: check.reason
+                        }));
+                        break;
+                    }
+
+                    const proposal = {
+                        id: currentRoom.trade.nextId++,
+                        team: currentTeam,
+                        slots: slots,
+                        proposedBy: playerName,
+                        awaiting: awaiting
+                    };
+                    // A new offer replaces the player's earlier one
+                    currentRoom.trade.proposals = [
+                        ...currentRoom.trade.proposals.filter(p => p.team !== currentTeam || p.proposedBy !== playerName),
+                        proposal
+                    ];
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'trade_updated',
+                        event: 'proposed',
+                        team: currentTeam,
+                        slots: slots,
+                        proposedBy: playerName,
+                        awaiting: awaiting,
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`${playerName} proposed trading ${currentTeam} lanes ${slots.join(' and ')} in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'respond_trade': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    const proposal = currentRoom.trade && currentRoom.trade.proposals.find(p => p.id === data.id);
+                    if (!proposal) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'That trade is no longer available'
+                        }));
+                        break;
+                    }
+
+                    if (proposal.team !== currentTeam || proposal.awaiting !== getSeatName(currentRoom, ws)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'This trade is not yours to answer'
+                        }));
+                        break;
+                    }
+
+                    if (!data.accept) {
+                        currentRoom.trade.proposals = currentRoom.trade.proposals.filter(p => p !== proposal);
+                        broadcastToRoom(currentRoom, {
+                            type: 'trade_updated',
+                            event: 'declined',
+                            team: proposal.team,
+                            slots: proposal.slots,
+                            proposedBy: proposal.proposedBy,
+                            draftState: getDraftStateSnapshot(currentRoom)
+                        });
+                        break;
+                    }
+
+                    const result = applyTrade(currentRoom, proposal.team, proposal.slots);
+                    if (!result.ok) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: result.message,
+                            reason: result.reason
+                        }));
+                        break;
+                    }
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'trade_updated',
+                        event: 'accepted',
+                        team: proposal.team,
+                        slots: proposal.slots,
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Trade of ${proposal.team} lanes ${proposal.slots.join(' and ')} accepted in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'swap_lanes': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (!isCaptain(currentRoom, ws)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the captain can move champions between lanes'
+                        }));
+                        break;
+                    }
+
+                    const result = DraftRules.swapLanes(currentRoom.draftState, currentTeam, data.lanes);
+                    if (!result.ok) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: result.message
+                        }));
+                        break;
+                    }
+
+                    commitLaneChange(currentRoom, currentTeam, data.lanes, result.state);
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'lanes_updated',
+                        team: currentTeam,
+                        lanes: data.lanes,
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`${getSeatName(currentRoom, ws)} swapped ${currentTeam} lanes ${data.lanes.join(' and ')} in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'toggle_fearless': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    // Only host can toggle
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can toggle Fearless Draft'
+                        }));
+                        break;
+                    }
+
+                    const randomLockError = getRandomDraftLockError(currentRoom, 'Fearless Draft');
+                    if (randomLockError) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: randomLockError
+                        }));
+                        break;
+                    }
+
+                    const variant = data.variant === undefined
+                        ? currentRoom.fearlessVariant
+                        : DraftRules.normalizeFearlessVariant(data.variant);
+                    if (!variant) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Invalid Fearless variant'
+                        }));
+                        break;
+                    }
+
+                    currentRoom.fearlessDraftEnabled = !!data.enabled;
+                    currentRoom.fearlessVariant = variant;
+                    currentRoom.draftState.fearlessEnabled = !!data.enabled;
+                    currentRoom.draftState.fearlessVariant = variant;
+                    currentRoom.draftState.fearlessUsedChampions = data.enabled ? getFearlessEntriesBySide(currentRoom) : [];
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'fearless_toggled',
+                        enabled: currentRoom.fearlessDraftEnabled,
+                        variant: variant,
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Fearless Draft ${data.enabled ? 'enabled' : 'disabled'} in room ${currentRoom.id}`, variant);
+                    break;
+                }
+
+                case 'set_series_length': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can change the series length'
+                        }));
+                        break;
+                    }
+
+                    const bestOf = Number(data.bestOf);
+                    if (!SERIES_LENGTHS.includes(bestOf)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: `Series length must be one of: ${SERIES_LENGTHS.join(', ')}`
+                        }));
+                        break;
+                    }
+
+                    if (['drafting', 'paused'].includes(currentRoom.draftState.phase)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Cannot start a new series during a draft'
+                        }));
+                        break;
+                    }
+
+                    // A new series starts from a clean board and a fresh Fearless session
+                    currentRoom.series = createSeries(bestOf);
+                    resetFearlessSession(currentRoom);
+                    resetDraft(currentRoom);
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'series_updated',
+                        series: getSeriesSnapshot(currentRoom),
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Room ${currentRoom.id} started a best-of-${bestOf} series`);
+                    break;
+                }
+
+                case 'record_game_result': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can record game results'
+                        }));
+                        break;
+                    }
+
+                    if (!['blue', 'red'].includes(data.winner)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Invalid winner'
+                        }));
+                        break;
+                    }
+
+                    if (!isAwaitingResult(currentRoom)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'There is no finished game waiting for a result'
+                        }));
+                        break;
+                    }
+
+                    const { series, draftState } = currentRoom;
+                    const winnerTeam = series.sides[data.winner];
+                    const loserSide = data.winner === 'blue' ? 'red' : 'blue';
+
+                    series.games.push({
+                        game: series.games.length + 1,
+                        blueTeam: series.sides.blue,
+                        redTeam: series.sides.red,
+                        winner: winnerTeam,
+                        format: draftState.format,
+                        blueBans: draftState.blueBans,
+                        redBans: draftState.redBans,
+                        bluePicks: draftState.bluePicks,
+                        redPicks: draftState.redPicks
+                    });
+                    series.wins[winnerTeam]++;
+                    series.gameRecorded = true;
+                    if (currentRoom.archivedDraftId) {
+                        DraftStore.updateDraft(currentRoom.archivedDraftId, { winner: data.winner });
+                    }
+                    series.awaitingSide = getSeriesWinner(series) ? null : series.sides[loserSide];
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'series_updated',
+                        series: getSeriesSnapshot(currentRoom)
+                    });
+
+                    console.log(`Room ${currentRoom.id} game ${series.games.length} won by ${data.winner}`);
+                    break;
+                }
+
+                case 'choose_side': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    const { series } = currentRoom;
+                    if (!series.awaitingSide) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'No side choice is pending'
+                        }));
+                        break;
+                    }
+
+                    // The losing captain chooses; the host can choose for an absent captain
+                    const loserSide = getSideOf(series, series.awaitingSide);
+                    const loserSeat = loserSide === 'blue' ? currentRoom.bluePlayer : currentRoom.redPlayer;
+                    if (currentTeam !== loserSide && !(ws === currentRoom.host && !loserSeat)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the team that lost the last game can choose a side'
+                        }));
+                        break;
+                    }
+
+                    if (!['blue', 'red'].includes(data.side)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Invalid side'
+                        }));
+                        break;
+                    }
+
+                    series.awaitingSide = null;
+                    if (data.side !== loserSide) {
+                        swapSides(currentRoom);
+                    }
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'series_updated',
+                        series: getSeriesSnapshot(currentRoom)
+                    });
+
+                    console.log(`Room ${currentRoom.id}: losing team takes ${data.side} side for game ${series.games.length + 1}`);
+                    break;
+                }
+
+                case 'pause_draft': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can pause the draft'
+                        }));
+                        break;
+                    }
+
+                    const pausedState = DraftRules.pauseDraft(currentRoom.draftState);
+                    if (!pausedState) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Draft not in progress'
+                        }));
+                        break;
+                    }
+
+                    // Keep whatever was left on the clock so resuming does not reset the turn
+                    const { turnDeadline } = currentRoom.draftState;
+                    clearTurnTimer(currentRoom);
+                    currentRoom.draftState = {
+                        ...pausedState,
+                        turnDeadline: null,
+                        turnDuration: null,
+                        pausedTurnRemaining: turnDeadline ? Math.max(0, turnDeadline - Date.now()) : null
+                    };
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'draft_paused',
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Draft paused in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'resume_draft': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can resume the draft'
+                        }));
+                        break;
+                    }
+
+                    const resumedState = DraftRules.resumeDraft(currentRoom.draftState);
+                    if (!resumedState) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Draft is not paused'
+                        }));
+                        break;
+                    }
+
+                    const remaining = currentRoom.draftState.pausedTurnRemaining;
+                    currentRoom.draftState = { ...resumedState, pausedTurnRemaining: null };
+                    startTurnTimer(currentRoom, remaining);
+
+                    broadcastToRoom(currentRoom, {
+                        type: 'draft_resumed',
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
+
+                    console.log(`Draft resumed in room ${currentRoom.id}`);
+                    break;
+                }
+
+                case 'set_draft_format': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
+
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can change the draft format'
+                        }));
+                        break;
+                    }
+
+                    if (['drafting', 'paused'].includes(currentRoom.draftState.phase)) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Cannot change the draft format during a draft'
                         }));
-                        console.log(`Resending existing room ${currentRoom.id} (retry from host)`);
                         break;
                     }
 
-                    let roomCode;
-                    do {
-                        roomCode = generateRoomCode();
-                    } while (rooms[roomCode]);
+                    const formatResult = resolveDraftFormat(data.draftFormat, data.customDraftOrder);
+                    if (formatResult.error) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: formatResult.error
+                        }));
+                        break;
+                    }
 
-                    const room = createNewRoom(roomCode);
-                    room.bluePlayer = ws;
-                    room.bluePlayerName = data.playerName || 'Player 1';
-                    room.host = ws;
-                    currentRoom = room;
-                    currentTeam = 'blue';
+                    currentRoom.draftFormat = formatResult.format;
 
-                    cancelRoomCleanup(roomCode);
+                    // Keep a finished board on screen; the new format applies from the next start_draft
+                    if (currentRoom.draftState.phase === 'idle') {
+                        resetDraft(currentRoom);
+                    }
 
-                    ws.send(JSON.stringify({
-                        type: 'room_created',
-                        roomCode: roomCode,
-                        team: 'blue',
-                        isHost: true,
-                        draftState: room.draftState,
-                        fearlessDraftEnabled: room.fearlessDraftEnabled,
-                        bluePlayerName: room.bluePlayerName,
-                        redPlayerName: room.redPlayerName,
-                        blueTeamRoles: room.blueTeamRoles,
-                        redTeamRoles: room.redTeamRoles,
-                        spectators: room.spectators.map(s => s.name)
-                    }));
+                    broadcastToRoom(currentRoom, {
+                        type: 'draft_format_updated',
+                        draftFormat: currentRoom.draftFormat
+                    });
 
-                    console.log(`Room ${roomCode} created by ${room.bluePlayerName} (blue team)`);
+                    console.log(`Draft format set to ${currentRoom.draftFormat.name} in room ${currentRoom.id}`);
                     break;
                 }
 
-                case 'join_room': {
-                    const roomCode = data.roomCode.toUpperCase();
-                    const room = rooms[roomCode];
-
-                    if (!room) {
+                case 'set_turn_timer': {
+                    if (!currentRoom) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Room not found'
+                            message: 'Not in a room'
                         }));
                         break;
                     }
 
-                    // Check if player already in this room (idempotency for retries)
-                    if (currentRoom === room) {
-                        // Already joined, just resend the confirmation
+                    if (ws !== currentRoom.host) {
                         ws.send(JSON.stringify({
-                            type: 'room_joined',
-                            roomCode: roomCode,
-                            team: currentTeam,
-                            isHost: ws === room.host,
-                            draftState: room.draftState,
-                            fearlessDraftEnabled: room.fearlessDraftEnabled,
-                            bluePlayerName: room.bluePlayerName,
-                            redPlayerName: room.redPlayerName,
-                            blueTeamRoles: room.blueTeamRoles,
-                            redTeamRoles: room.redTeamRoles,
-                            spectators: room.spectators.map(s => s.name)
+                            type: 'error',
+                            message: 'Only the host can change the turn timer'
                         }));
-                        console.log(`Resending join confirmation for room ${roomCode} (retry)`);
                         break;
                     }
 
-                    let joinedTeam;
-                    const playerName = data.playerName || 'Player';
-
-                    // Assign to red team if available, otherwise spectator
-                    if (!room.redPlayer) {
-                        room.redPlayer = ws;
-                        room.redPlayerName = playerName;
-                        joinedTeam = 'red';
-                        currentRoom = room;
-                        currentTeam = 'red';
-
-                        console.log(`${playerName} joined room ${roomCode} (red team)`);
-
-                        // Notify other players
-                        broadcastToRoom(room, {
-                            type: 'opponent_joined',
-                            opponentName: playerName
-                        }, ws);
-
-                        // Also send room update so host sees the joined player
-                        broadcastToRoom(room, {
-                            type: 'room_update',
-                            bluePlayerName: room.bluePlayerName,
-                            redPlayerName: room.redPlayerName,
-                            spectators: room.spectators.map(s => s.name),
-                            blueTeamRoles: room.blueTeamRoles,
-                            redTeamRoles: room.redTeamRoles
-                        }, ws);
-                    } else {
-                        // Both teams full, join as spectator
-                        room.spectators.push({ ws, name: playerName });
-                        joinedTeam = 'spectator';
-                        currentRoom = room;
-                        currentTeam = 'spectator';
-
-                        console.log(`${playerName} joined room ${roomCode} (spectator)`);
-
-                        // Notify other players
-                        broadcastToRoom(room, {
-                            type: 'room_update',
-                            bluePlayerName: room.bluePlayerName,
-                            redPlayerName: room.redPlayerName,
-                            spectators: room.spectators.map(s => s.name),
-                            blueTeamRoles: room.blueTeamRoles,
-                            redTeamRoles: room.redTeamRoles
-                        }, ws);
+                    const seconds = Number(data.seconds);
+                    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_TURN_TIMER_SECONDS) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: `Turn timer must be between 0 and ${MAX_TURN_TIMER_SECONDS} seconds`
+                        }));
+                        break;
                     }
 
-                    cancelRoomCleanup(roomCode);
+                    currentRoom.turnTimerSeconds = seconds;
 
-                    ws.send(JSON.stringify({
-                        type: 'room_joined',
-                        roomCode: roomCode,
-                        team: joinedTeam,
-                        isHost: ws === room.host,
-                        draftState: room.draftState,
-                        fearlessDraftEnabled: room.fearlessDraftEnabled,
-                        bluePlayerName: room.bluePlayerName,
-                        redPlayerName: room.redPlayerName,
-                        blueTeamRoles: room.blueTeamRoles,
-                        redTeamRoles: room.redTeamRoles,
-                        spectators: room.spectators.map(s => s.name)
-                    }));
+                    // Disabling the timer stops the running clock; new values apply from the next turn
+                    if (seconds === 0 && currentRoom.turnTimer) {
+                        clearTurnTimer(currentRoom);
+                        broadcastToRoom(currentRoom, {
+                            type: 'draft_update',
+                            draftState: getDraftStateSnapshot(currentRoom)
+                        });
+                    }
 
-                    console.log(`Sent room_joined with role assignments:`, {
-                        blueTeamRoles: room.blueTeamRoles,
-                        redTeamRoles: room.redTeamRoles
+                    broadcastToRoom(currentRoom, {
+                        type: 'turn_timer_updated',
+                        seconds: seconds
                     });
 
+                    console.log(`Turn timer set to ${seconds}s in room ${currentRoom.id}`);
                     break;
                 }
 
-                case 'rejoin_room': {
-                    const roomCode = data.roomCode.toUpperCase();
-                    const room = rooms[roomCode];
-                    const requestedTeam = data.team; // 'blue', 'red', or 'spectator'
-                    const playerName = data.playerName || 'Player';
+                case 'set_disabled_champions': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
 
-                    if (!room) {
+                    if (ws !== currentRoom.host) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Room not found'
+                            message: 'Only the host can disable champions'
                         }));
                         break;
                     }
 
-                    // Check if player already in this room (idempotency for retries)
-                    if (currentRoom === room) {
-                        // Already rejoined, just resend the confirmation
+                    const randomLockError = getRandomDraftLockError(currentRoom, 'Disabled champions');
+                    if (randomLockError) {
                         ws.send(JSON.stringify({
-                            type: 'room_joined',
-                            roomCode: roomCode,
-                            team: currentTeam,
-                            isHost: ws === room.host,
-                            draftState: room.draftState,
-                            fearlessDraftEnabled: room.fearlessDraftEnabled,
-                            bluePlayerName: room.bluePlayerName,
-                            redPlayerName: room.redPlayerName,
-                            blueTeamRoles: room.blueTeamRoles,
-                            redTeamRoles: room.redTeamRoles,
-                            spectators: room.spectators.map(s => s.name)
+                            type: 'error',
+                            message: randomLockError
                         }));
-                        console.log(`Resending rejoin confirmation for room ${roomCode} (retry)`);
                         break;
                     }
 
-                    let joinedTeam;
-                    const wasHost = ws === room.host;
+                    const requested = DraftRules.normalizeDisabledChampions(data.champions);
+                    if (!requested) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: `The disabled list must be up to ${DraftRules.MAX_DISABLED_CHAMPIONS} champion names`
+                        }));
+                        break;
+                    }
 
-                    // Try to rejoin the requested team
-                    if (requestedTeam === 'blue' && !room.bluePlayer) {
-                        room.bluePlayer = ws;
-                        room.bluePlayerName = playerName;
-                        joinedTeam = 'blue';
-                        currentRoom = room;
-                        currentTeam = 'blue';
+                    // Lists imported from a room on another patch may name champions this patch lacks
+                    const disabled = requested.filter(champion => !getRosterError(currentRoom, champion));
 
-                        // Restore host status if they were the host
-                        if (!room.host) {
-                            room.host = ws;
-                        }
+                    // Already banned or picked champions stay on the board; the list applies from the next step
+                    currentRoom.disabledChampions = disabled;
+                    currentRoom.draftState.disabledChampions = disabled;
+                    if (currentRoom.draftState.hover && disabled.includes(currentRoom.draftState.hover.champion)) {
+                        currentRoom.draftState.hover = null;
+                    }
 
-                        console.log(`${playerName} rejoined room ${roomCode} (blue team)`);
-                    } else if (requestedTeam === 'red' && !room.redPlayer) {
-                        room.redPlayer = ws;
-                        room.redPlayerName = playerName;
-                        joinedTeam = 'red';
-                        currentRoom = room;
-                        currentTeam = 'red';
+                    broadcastToRoom(currentRoom, {
+                        type: 'disabled_champions_updated',
+                        champions: disabled,
+                        draftState: getDraftStateSnapshot(currentRoom)
+                    });
 
-                        console.log(`${playerName} rejoined room ${roomCode} (red team)`);
-                    } else if (requestedTeam === 'spectator') {
-                        room.spectators.push({ ws, name: playerName });
-                        joinedTeam = 'spectator';
-                        currentRoom = room;
-                        currentTeam = 'spectator';
+                    console.log(`Disabled champions in room ${currentRoom.id}: ${disabled.join(', ') || 'none'}`);
+                    break;
+                }
 
-                        console.log(`${playerName} rejoined room ${roomCode} (spectator)`);
-                    } else {
-                        // Requested team is occupied, join as spectator
-                        room.spectators.push({ ws, name: playerName });
-                        joinedTeam = 'spectator';
-                        currentRoom = room;
-                        currentTeam = 'spectator';
+                case 'set_champion_pools': {
+                    if (!currentRoom) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Not in a room'
+                        }));
+                        break;
+                    }
 
-                        console.log(`${playerName} rejoined room ${roomCode} as spectator (${requestedTeam} team occupied)`);
+                    if (ws !== currentRoom.host) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: 'Only the host can set champion pools'
+                        }));
+                        break;
                     }
 
-                    cancelRoomCleanup(roomCode);
+                    const pools = DraftRules.normalizeChampionPools(data.pools);
+                    if (!pools) {
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            message: `Champion pools must list up to ${DraftRules.MAX_POOL_SIZE} champion names for each of up to ${DraftRules.MAX_POOL_PLAYERS} players`
+                        }));
+                        break;
+                    }
 
-                    // Notify the rejoining player
-                    ws.send(JSON.stringify({
-                        type: 'room_joined',
-                        roomCode: roomCode,
-                        team: joinedTeam,
-                        isHost: ws === room.host,
-                        draftState: room.draftState,
-                        fearlessDraftEnabled: room.fearlessDraftEnabled,
-                        bluePlayerName: room.bluePlayerName,
-                        redPlayerName: room.redPlayerName,
-                        blueTeamRoles: room.blueTeamRoles,
-                        redTeamRoles: room.redTeamRoles,
-                        spectators: room.spectators.map(s => s.name)
-                    }));
+                    currentRoom.championPools = pools;
 
-                    // Notify other players
-                    broadcastToRoom(room, {
-                        type: 'room_update',
-                        bluePlayerName: room.bluePlayerName,
-                        redPlayerName: room.redPlayerName,
-                        spectators: room.spectators.map(s => s.name),
-                        blueTeamRoles: room.blueTeamRoles,
-                        redTeamRoles: room.redTeamRoles
-                    }, ws);
+                    broadcastToRoom(currentRoom, {
+                        type: 'champion_pools_updated',
+                        championPools: currentRoom.championPools,
+                        poolRestricted: currentRoom.poolRestricted
+                    });
 
+                    console.log(`Champion pools set for ${Object.keys(pools).length} players in room ${currentRoom.id}`);
                     break;
                 }
 
-                case 'start_draft': {
+                case 'set_pool_restricted': {
                     if (!currentRoom) {
                         ws.send(JSON.stringify({
                             type: 'error',
@@ -516,30 +2634,37 @@ wss.on('connection', (ws) => {
                         break;
                     }
 
-                    // Only host can start draft
                     if (ws !== currentRoom.host) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Only the host can start the draft'
+                            message: 'Only the host can restrict picks to champion pools'
                         }));
                         break;
                     }
 
-                    resetDraft(currentRoom);
-                    currentRoom.draftState.phase = 'drafting';
-                    currentRoom.draftState.currentTeam = DRAFT_ORDER[0].team;
-                    currentRoom.draftState.currentAction = DRAFT_ORDER[0].action;
+                    currentRoom.poolRestricted = !!data.enabled;
+
+                    // A selected champion outside the owner's pool could no longer be locked
+                    const { hover } = currentRoom.draftState;
+                    if (hover && getPoolError(currentRoom, hover.champion)) {
+                        currentRoom.draftState.hover = null;
+                        broadcastToRoom(currentRoom, {
+                            type: 'champion_hovered',
+                            hover: null
+                        });
+                    }
 
                     broadcastToRoom(currentRoom, {
-                        type: 'draft_started',
-                        draftState: currentRoom.draftState
+                        type: 'champion_pools_updated',
+                        championPools: currentRoom.championPools,
+                        poolRestricted: currentRoom.poolRestricted
                     });
 
-                    console.log(`Draft started in room ${currentRoom.id}`);
+                    console.log(`Pool-restricted picks ${currentRoom.poolRestricted ? 'enabled' : 'disabled'} in room ${currentRoom.id}`);
                     break;
                 }
 
-                case 'draft_action': {
+                case 'set_blind_conflict_rule': {
                     if (!currentRoom) {
                         ws.send(JSON.stringify({
                             type: 'error',
@@ -548,51 +2673,39 @@ wss.on('connection', (ws) => {
                         break;
                     }
 
-                    const result = processDraftAction(data.champion, currentTeam, currentRoom);
-
-                    if (result.success) {
-                        broadcastToRoom(currentRoom, {
-                            type: 'draft_update',
-                            draftState: currentRoom.draftState,
-                            champion: data.champion,
-                            team: currentTeam,
-                            action: currentRoom.draftState.currentAction
-                        });
-                    } else {
+                    if (ws !== currentRoom.host) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: result.error
+                            message: 'Only the host can choose the blind pick rule'
                         }));
+                        break;
                     }
-                    break;
-                }
 
-                case 'toggle_fearless': {
-                    if (!currentRoom) {
+                    if (!DraftRules.BLIND_CONFLICT_RULES.includes(data.rule)) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Not in a room'
+                            message: 'Unknown blind pick rule'
                         }));
                         break;
                     }
 
-                    // Only host can toggle
-                    if (ws !== currentRoom.host) {
+                    if (['drafting', 'paused'].includes(currentRoom.draftState.phase)) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Only the host can toggle Fearless Draft'
+                            message: 'Cannot change the blind pick rule during a draft'
                         }));
                         break;
                     }
 
-                    currentRoom.fearlessDraftEnabled = data.enabled;
+                    // Applies from the next start_draft
+                    currentRoom.blindConflictRule = data.rule;
 
                     broadcastToRoom(currentRoom, {
-                        type: 'fearless_toggled',
-                        enabled: data.enabled
+                        type: 'blind_conflict_rule_updated',
+                        rule: currentRoom.blindConflictRule
                     });
 
-                    console.log(`Fearless Draft ${data.enabled ? 'enabled' : 'disabled'} in room ${currentRoom.id}`);
+                    console.log(`Blind pick rule set to ${currentRoom.blindConflictRule} in room ${currentRoom.id}`);
                     break;
                 }
 
@@ -613,11 +2726,11 @@ wss.on('connection', (ws) => {
                         break;
                     }
 
-                    currentRoom.fearlessUsedChampions.clear();
-                    currentRoom.draftState.fearlessUsedChampions = [];
+                    resetFearlessSession(currentRoom);
 
                     broadcastToRoom(currentRoom, {
-                        type: 'fearless_reset'
+                        type: 'fearless_reset',
+                        draftState: getDraftStateSnapshot(currentRoom)
                     });
 
                     console.log(`Fearless session reset in room ${currentRoom.id}`);
@@ -656,10 +2769,14 @@ wss.on('connection', (ws) => {
 
                     // Can't switch during an active draft if any picks or bans have been made
                     if (currentRoom.draftState.phase === 'drafting') {
+                        const blindPicks = currentRoom.blind
+                            ? [...currentRoom.blind.picks.blue, ...currentRoom.blind.picks.red].filter(Boolean).length
+                            : 0;
                         const totalActions = currentRoom.draftState.blueBans.length +
                                             currentRoom.draftState.redBans.length +
                                             currentRoom.draftState.bluePicks.length +
-                                            currentRoom.draftState.redPicks.length;
+                                            currentRoom.draftState.redPicks.length +
+                                            blindPicks;
 
                         if (totalActions > 0) {
                             ws.send(JSON.stringify({
@@ -670,19 +2787,12 @@ wss.on('connection', (ws) => {
                         }
                     }
 
-                    // Check if target team is already occupied
-                    if (newTeam === 'blue' && currentRoom.bluePlayer && currentRoom.bluePlayer !== ws) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Blue team is already occupied'
-                        }));
-                        break;
-                    }
-
-                    if (newTeam === 'red' && currentRoom.redPlayer && currentRoom.redPlayer !== ws) {
+                    // Check if target team has a free seat
+                    const seatError = newTeam !== 'spectator' && getSeatError(currentRoom, newTeam, playerName);
+                    if (seatError) {
                         ws.send(JSON.stringify({
                             type: 'error',
-                            message: 'Red team is already occupied'
+                            message: seatError
                         }));
                         break;
                     }
@@ -690,39 +2800,28 @@ wss.on('connection', (ws) => {
                     // Store if this player is the host (host status never changes)
                     const isHost = ws === currentRoom.host;
 
-                    // Remove player from current position
-                    if (currentTeam === 'blue') {
-                        currentRoom.bluePlayer = null;
-                        currentRoom.bluePlayerName = null;
-                    } else if (currentTeam === 'red') {
-                        currentRoom.redPlayer = null;
-                        currentRoom.redPlayerName = null;
-                    } else if (currentTeam === 'spectator') {
-                        currentRoom.spectators = currentRoom.spectators.filter(s => s.ws !== ws);
-                    }
+                    // Remove player from current position; a teammate takes over a vacated captain seat
+                    const promoted = unseatPlayer(currentRoom, ws);
 
                     // Add player to new position
-                    if (newTeam === 'blue') {
-                        currentRoom.bluePlayer = ws;
-                        currentRoom.bluePlayerName = playerName;
-                        currentTeam = 'blue';
-                    } else if (newTeam === 'red') {
-                        currentRoom.redPlayer = ws;
-                        currentRoom.redPlayerName = playerName;
-                        currentTeam = 'red';
-                    } else if (newTeam === 'spectator') {
+                    if (newTeam === 'spectator') {
                         currentRoom.spectators.push({ ws, name: playerName });
-                        currentTeam = 'spectator';
+                    } else {
+                        seatPlayer(currentRoom, ws, newTeam, playerName);
                     }
+                    currentTeam = newTeam;
 
                     // Notify the player who switched
                     ws.send(JSON.stringify({
                         type: 'team_switched',
                         team: newTeam,
                         isHost: isHost,
-                        draftState: currentRoom.draftState,
+                        isCaptain: isCaptain(currentRoom, ws),
+                        draftState: getDraftStateSnapshot(currentRoom, newTeam),
                         bluePlayerName: currentRoom.bluePlayerName,
                         redPlayerName: currentRoom.redPlayerName,
+                        blueTeammates: currentRoom.blueTeammates.map(p => p.name),
+                        redTeammates: currentRoom.redTeammates.map(p => p.name),
                         spectators: currentRoom.spectators.map(s => s.name)
                     }));
 
@@ -731,9 +2830,15 @@ wss.on('connection', (ws) => {
                         type: 'room_update',
                         bluePlayerName: currentRoom.bluePlayerName,
                         redPlayerName: currentRoom.redPlayerName,
+                        blueTeammates: currentRoom.blueTeammates.map(p => p.name),
+                        redTeammates: currentRoom.redTeammates.map(p => p.name),
                         spectators: currentRoom.spectators.map(s => s.name)
                     }, ws);
 
+                    if (promoted) {
+                        sendSeatUpdate(currentRoom, promoted.ws, promoted.team);
+                    }
+
                     console.log(`Player ${playerName} switched to ${newTeam} team in room ${currentRoom.id}${isHost ? ' (host)' : ''}`);
                     break;
                 }
@@ -769,7 +2874,8 @@ wss.on('connection', (ws) => {
                     broadcastToRoom(currentRoom, {
                         type: 'role_assignments_updated',
                         blueTeamRoles: currentRoom.blueTeamRoles,
-                        redTeamRoles: currentRoom.redTeamRoles
+                        redTeamRoles: currentRoom.redTeamRoles,
+                        turnOwner: getTurnOwner(currentRoom)
                     });
 
                     console.log(`Role assignments broadcasted to all players in room ${currentRoom.id}`);
@@ -795,15 +2901,8 @@ wss.on('connection', (ws) => {
 
     ws.on('close', () => {
         if (currentRoom) {
-            if (currentTeam === 'blue') {
-                currentRoom.bluePlayer = null;
-                currentRoom.bluePlayerName = null;
-            } else if (currentTeam === 'red') {
-                currentRoom.redPlayer = null;
-                currentRoom.redPlayerName = null;
-            } else if (currentTeam === 'spectator') {
-                currentRoom.spectators = currentRoom.spectators.filter(s => s.ws !== ws);
-            }
+            currentTeam = getSeatTeam(currentRoom, ws);
+            const promoted = unseatPlayer(currentRoom, ws);
 
             // Notify other players
             broadcastToRoom(currentRoom, {
@@ -811,9 +2910,15 @@ wss.on('connection', (ws) => {
                 team: currentTeam,
                 bluePlayerName: currentRoom.bluePlayerName,
                 redPlayerName: currentRoom.redPlayerName,
+                blueTeammates: currentRoom.blueTeammates.map(p => p.name),
+                redTeammates: currentRoom.redTeammates.map(p => p.name),
                 spectators: currentRoom.spectators.map(s => s.name)
             });
 
+            if (promoted) {
+                sendSeatUpdate(currentRoom, promoted.ws, promoted.team);
+            }
+
             console.log(`Player disconnected from room ${currentRoom.id} (${currentTeam} ${currentTeam === 'spectator' ? 'spectator' : 'team'})`);
 
             // Schedule cleanup if room is empty
@@ -824,7 +2929,18 @@ wss.on('connection', (ws) => {
     });
 });
 
-server.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-    console.log(`WebSocket server ready for connections`);
+Promise.all([import('./js/formats.mjs'), import('./js/rules.mjs'), import('./js/lanes.mjs')]).then(([formatsModule, rulesModule, lanesModule]) => {
+    DraftFormats = formatsModule;
+    DraftRules = rulesModule;
+    DraftLanes = lanesModule;
+    DraftStore.loadDrafts();
+    ChampionStore.loadChampions();
+
+    server.listen(port, () => {
+        console.log(`Server running at http://localhost:${port}`);
+        console.log(`WebSocket server ready for connections`);
+    });
+}).catch((error) => {
+    console.error('Failed to load draft modules:', error);
+    process.exit(1);
 });